@@ -0,0 +1,6 @@
+// Runtime configuration, read at startup - edit on the server without rebuilding
+// iceServers: RTCIceServer list replacing the default Google STUN servers, e.g.
+//   [{ urls: 'stun:stun.example.com:3478' },
+//    { urls: 'turn:turn.example.com:3478', username: 'photosync', credential: 'secret' }]
+// relayOnly: true to only connect through TURN relays
+window.PHOTOSYNC_CONFIG = window.PHOTOSYNC_CONFIG || {};
@@ -5,8 +5,11 @@ import Auth from './components/Auth';
 import QRScanner from './components/QRScanner';
 import DebugLog from './components/DebugLog';
 import ConnectionDiagnostics from './components/ConnectionDiagnostics';
+import IceServerSettings from './components/IceServerSettings';
 import { supabase } from './lib/supabase';
 import { usePhotoSyncWebRTC } from './hooks/usePhotoSyncWebRTC';
+import { RECOVERY_METHODS } from './lib/reconnectionController';
+import { savePairedIceConfig, clearPairedIceConfig } from './lib/iceConfig';
 import {
   saveWebRTCConnection,
   loadWebRTCConnection,
@@ -102,7 +105,36 @@ function App() {
     debugLogs,
     photoData,
     requestPhoto,
+    setPhotoPriority,
+    setPhotoVisible,
+    cancelPhoto,
+    cancelAllPhotos,
+    photoErrors,
+    retryPhoto,
+    photoMetadata,
+    requestMetadata,
     connectionInfo,
+    peerCapabilities,
+    desktopFeatures,
+    reconnectStatus,
+    iceConfig,
+    folders,
+    currentFolderId,
+    requestFolders,
+    requestFolderPhotos,
+    loadMorePhotos,
+    totalPhotoCount,
+    hasMorePhotos,
+    pinnedFolders,
+    pinFolder,
+    unpinFolder,
+    requestVideoInfo,
+    fetchVideoRange,
+    cancelVideoRequests,
+    canDownloadOriginals,
+    downloadOriginal,
+    cancelOriginalDownload,
+    originalDownloads,
   } = activeSync;
 
   // Debug: Log props being passed to Gallery
@@ -198,6 +230,7 @@ function App() {
   const handleSignOut = async () => {
     // Clear saved connection on sign out
     await deleteWebRTCConnection();
+    clearPairedIceConfig();
     const { error } = await supabase.auth.signOut();
     if (!error) {
       setUser(null);
@@ -223,6 +256,9 @@ function App() {
         console.log('[App] Connection info saved for auto-reconnect');
       }
 
+      // STUN/TURN servers from the QR code apply to every connection to this room
+      savePairedIceConfig(payload.roomId, payload);
+
       // Connect
       webrtcSync.connect(payload.signalingServer, payload.roomId);
     } else {
@@ -239,6 +275,7 @@ function App() {
     if (window.confirm('Disconnect and forget this device?\n\nNote: Your desktop uses a persistent QR code, so you can re-scan the same QR code later to reconnect.')) {
       // Delete saved connection
       await deleteWebRTCConnection();
+      clearPairedIceConfig();
       console.log('[App] Saved connection cleared');
 
       // Disconnect
@@ -301,12 +338,39 @@ function App() {
           <Gallery
             photos={photos}
             connectionState={connectionState}
+            reconnectStatus={reconnectStatus}
             error={syncError}
             syncProgress={syncProgress}
             requestManifest={requestManifest}
             photoData={photoData}
             requestPhoto={requestPhoto}
+            setPhotoPriority={setPhotoPriority}
+            setPhotoVisible={setPhotoVisible}
+            cancelPhoto={cancelPhoto}
+            cancelAllPhotos={cancelAllPhotos}
+            photoErrors={photoErrors}
+            retryPhoto={retryPhoto}
+            photoMetadata={photoMetadata}
+            requestMetadata={requestMetadata}
             connectionMode={connectionMode}
+            folders={folders}
+            currentFolderId={currentFolderId}
+            requestFolders={requestFolders}
+            requestFolderPhotos={requestFolderPhotos}
+            loadMorePhotos={loadMorePhotos}
+            totalPhotoCount={totalPhotoCount}
+            hasMorePhotos={hasMorePhotos}
+            pinnedFolders={pinnedFolders}
+            pinFolder={pinFolder}
+            unpinFolder={unpinFolder}
+            requestVideoInfo={requestVideoInfo}
+            fetchVideoRange={fetchVideoRange}
+            cancelVideoRequests={cancelVideoRequests}
+            desktopFeatures={desktopFeatures}
+            canDownloadOriginals={canDownloadOriginals}
+            downloadOriginal={downloadOriginal}
+            cancelOriginalDownload={cancelOriginalDownload}
+            originalDownloads={originalDownloads}
           />
         </div>
 
@@ -326,6 +390,11 @@ function App() {
             <ConnectionDiagnostics
               debugLogs={debugLogs}
               connectionState={connectionState}
+              getConnectionStats={connectionMode === 'webrtc' ? webrtcSync.getConnectionStats : null}
+              runBenchmark={connectionMode === 'webrtc' ? webrtcSync.runBenchmark : null}
+              canRunBenchmark={webrtcSync.canRunBenchmark}
+              signalingServer={webrtcSync.connectionInfo?.signalingServer || SIGNALING_SERVER}
+              roomId={webrtcSync.connectionInfo?.roomId}
               serverInfo={(() => {
                 if (connectionMode === 'webrtc' && webrtcSync.connectionInfo) {
                   return {
@@ -345,6 +414,9 @@ function App() {
               })()}
             />
 
+            {/* STUN/TURN servers and relay-only mode */}
+            <IceServerSettings iceConfig={iceConfig} />
+
             {connectionState === 'disconnected' && !showQRScanner && (
               <div style={{ marginBottom: '30px' }}>
                 <p className="info-text" style={{ marginBottom: '15px' }}>
@@ -472,7 +544,7 @@ function App() {
               </div>
             )}
 
-            {(connectionState === 'connected' || connectionState === 'connecting' || connectionState === 'authenticating') && (
+            {(connectionState === 'connected' || connectionState === 'connecting' || connectionState === 'authenticating' || connectionState === 'reconnecting') && (
               <div style={{ marginBottom: '30px' }}>
                 <div style={{
                   padding: '20px',
@@ -489,6 +561,12 @@ function App() {
                   }}>
                     {connectionState.toUpperCase()}
                   </p>
+                  {reconnectStatus && (
+                    <p className="info-text" style={{ marginBottom: '10px', fontSize: '14px', color: '#666' }}>
+                      ATTEMPT {reconnectStatus.attempt}/{reconnectStatus.maxAttempts}
+                      {' · '}{reconnectStatus.method === RECOVERY_METHODS.ICE_RESTART ? 'RESTARTING ICE' : 'NEW CONNECTION'}
+                    </p>
+                  )}
                   {connectionMode && (
                     <p className="info-text" style={{ marginBottom: '10px', fontSize: '14px' }}>
                       MODE: {connectionMode === 'webrtc' ? 'WebRTC P2P' : 'Direct Connection'}
@@ -531,6 +609,13 @@ function App() {
                       PHOTOS SYNCED: {photoCount}
                     </p>
                   )}
+                  {peerCapabilities && (
+                    <p className="info-text" style={{ fontSize: '12px', color: '#666', marginTop: '8px' }}>
+                      DESKTOP APP: v{peerCapabilities.appVersion} (PROTOCOL {peerCapabilities.protocolVersion})
+                      {' · '}CHUNK SIZE: {Math.round(peerCapabilities.chunkSize / 1024)} KB
+                      {' · '}FORMATS: {peerCapabilities.imageFormats.map(format => format.replace('image/', '').toUpperCase()).join('/')}
+                    </p>
+                  )}
                 </div>
                 <button
                   onClick={handleDisconnect}
@@ -21,12 +21,21 @@ function App() {
 
   const {
     connectionState,
+    reconnectStatus,
     photos,
     photoData,
     connect,
     disconnect,
     requestManifest,
     requestPhoto,
+    setPhotoPriority,
+    setPhotoVisible,
+    cancelPhoto,
+    cancelAllPhotos,
+    photoErrors,
+    retryPhoto,
+    photoMetadata,
+    requestMetadata,
     error: syncError,
     syncProgress,
     debugLogs,
@@ -37,6 +46,17 @@ function App() {
     loadMorePhotos,
     totalPhotoCount,
     hasMorePhotos,
+    pinnedFolders,
+    pinFolder,
+    unpinFolder,
+    requestVideoInfo,
+    fetchVideoRange,
+    cancelVideoRequests,
+    desktopFeatures,
+    canDownloadOriginals,
+    downloadOriginal,
+    cancelOriginalDownload,
+    originalDownloads,
   } = activeSync;
 
   // Update photo count when photos change
@@ -156,11 +176,20 @@ function App() {
           <Gallery
             photos={photos}
             connectionState={connectionState}
+            reconnectStatus={reconnectStatus}
             error={syncError}
             syncProgress={syncProgress}
             requestManifest={requestManifest}
             photoData={photoData}
             requestPhoto={requestPhoto}
+            setPhotoPriority={setPhotoPriority}
+            setPhotoVisible={setPhotoVisible}
+            cancelPhoto={cancelPhoto}
+            cancelAllPhotos={cancelAllPhotos}
+            photoErrors={photoErrors}
+            retryPhoto={retryPhoto}
+            photoMetadata={photoMetadata}
+            requestMetadata={requestMetadata}
             connectionMode="webrtc"
             folders={folders}
             currentFolderId={currentFolderId}
@@ -169,6 +198,17 @@ function App() {
             loadMorePhotos={loadMorePhotos}
             totalPhotoCount={totalPhotoCount}
             hasMorePhotos={hasMorePhotos}
+            pinnedFolders={pinnedFolders}
+            pinFolder={pinFolder}
+            unpinFolder={unpinFolder}
+            requestVideoInfo={requestVideoInfo}
+            fetchVideoRange={fetchVideoRange}
+            cancelVideoRequests={cancelVideoRequests}
+            desktopFeatures={desktopFeatures}
+            canDownloadOriginals={canDownloadOriginals}
+            downloadOriginal={downloadOriginal}
+            cancelOriginalDownload={cancelOriginalDownload}
+            originalDownloads={originalDownloads}
           />
         </div>
 
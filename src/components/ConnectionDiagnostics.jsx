@@ -1,19 +1,157 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  STATS_HISTORY_LENGTH,
+  deriveStatsSample,
+  appendStatsSample,
+  diagnoseSlowness
+} from '../lib/peerStats';
+import { resolveStoredIceConfig } from '../lib/iceConfig';
+import { runConnectivityTest, formatConnectivityReport, VERDICT_LEVELS } from '../lib/connectivityTest';
+import {
+  BENCHMARK_SIZES_MB,
+  DEFAULT_BENCHMARK_SIZE_MB,
+  benchmarkBytes,
+  formatNetworkType,
+  loadBenchmarkResults,
+  saveBenchmarkResult,
+  clearBenchmarkResults
+} from '../lib/throughputBenchmark';
+
+// How often getStats() is polled while the panel is open
+const STATS_POLL_INTERVAL = 2000; // ms
+
+const CANDIDATE_TYPE_LABELS = {
+  host: 'Direct (same network)',
+  srflx: 'Direct (through NAT)',
+  prflx: 'Direct (through NAT)',
+  relay: 'TURN relay'
+};
+
+const SLOWNESS_VERDICTS = {
+  network: 'Slow photos are likely the network (high RTT or loss)',
+  desktop: 'Slow photos are likely the desktop (slow to start sending)'
+};
+
+const TEST_STEP_LABELS = {
+  gathering: 'Gathering ICE candidates and contacting the signaling server...',
+  loopback: 'Testing a data channel round trip...'
+};
+
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return 'N/A';
+  if (bytes < 1024) return `${Math.round(bytes)} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatBitrate = (bitsPerSecond) => {
+  if (bitsPerSecond === null || bitsPerSecond === undefined) return 'N/A';
+  if (bitsPerSecond < 1000 * 1000) return `${Math.round(bitsPerSecond / 1000)} kbps`;
+  return `${(bitsPerSecond / (1000 * 1000)).toFixed(1)} Mbps`;
+};
+
+/**
+ * Sparkline of one statistic over the history window, newest on the right
+ * Gaps in the data (unknown values) break the line
+ */
+function StatsGraph({ label, samples, valueKey, format, color }) {
+  const width = 300;
+  const height = 60;
+  const values = samples.map(sample => sample[valueKey]);
+  const known = values.filter(value => value !== null && value !== undefined);
+  const max = Math.max(...known, 1);
+  const offset = STATS_HISTORY_LENGTH - samples.length;
+
+  const segments = [[]];
+  values.forEach((value, index) => {
+    if (value === null || value === undefined) {
+      segments.push([]);
+      return;
+    }
+    const x = ((offset + index) / (STATS_HISTORY_LENGTH - 1)) * width;
+    const y = height - (value / max) * (height - 4) - 2;
+    segments[segments.length - 1].push(`${x.toFixed(1)},${y.toFixed(1)}`);
+  });
+
+  const latest = known.length > 0 ? known[known.length - 1] : null;
+  return (
+    <div style={styles.graph}>
+      <div style={styles.graphLabel}>
+        <span>{label}</span>
+        <span>now {latest === null ? 'N/A' : format(latest)} · peak {known.length > 0 ? format(max) : 'N/A'}</span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" style={styles.graphSvg}>
+        {segments.filter(points => points.length > 1).map((points, index) => (
+          <polyline key={index} points={points.join(' ')} fill="none" stroke={color} strokeWidth="2" />
+        ))}
+      </svg>
+    </div>
+  );
+}
 
 /**
  * Connection Diagnostics Panel
  * Displays detailed debugging information for troubleshooting connection issues
+ * In WebRTC mode it polls getStats() on the peer connection for live link statistics
+ * and can run a throughput benchmark against the desktop
  */
-export default function ConnectionDiagnostics({ debugLogs, connectionState, serverInfo }) {
+export default function ConnectionDiagnostics({
+  debugLogs,
+  connectionState,
+  serverInfo,
+  getConnectionStats,
+  runBenchmark,
+  canRunBenchmark,
+  signalingServer,
+  roomId
+}) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [diagnostics, setDiagnostics] = useState(null);
   const [testResults, setTestResults] = useState({});
+  const [statsHistory, setStatsHistory] = useState([]);
+  const [connectivityStep, setConnectivityStep] = useState(null); // Running test step, null when idle
+  const [connectivityResult, setConnectivityResult] = useState(null);
+  const [benchmarkSize, setBenchmarkSize] = useState(DEFAULT_BENCHMARK_SIZE_MB);
+  const [benchmarkProgress, setBenchmarkProgress] = useState(null); // Bytes received, null when idle
+  const [benchmarkError, setBenchmarkError] = useState(null);
+  const [benchmarkResults, setBenchmarkResults] = useState(loadBenchmarkResults);
+  const latestStatsRef = useRef(null); // Newest raw sample, for rates between polls
+  const isDirectMode = Boolean(serverInfo?.port);
 
   useEffect(() => {
     // Run diagnostics on mount
     runDiagnostics();
   }, []);
 
+  // Poll the peer connection's statistics while the panel is open
+  useEffect(() => {
+    if (!isExpanded || !getConnectionStats || connectionState !== 'connected') {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const poll = () => {
+      getConnectionStats().then(stats => {
+        if (cancelled || !stats) return;
+        const previous = latestStatsRef.current;
+        latestStatsRef.current = stats;
+        setStatsHistory(history => appendStatsSample(history, deriveStatsSample(stats, previous, history[0])));
+      }).catch(err => {
+        console.warn('[Diagnostics] getStats failed:', err.message);
+      });
+    };
+
+    poll();
+    const interval = setInterval(poll, STATS_POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [isExpanded, getConnectionStats, connectionState]);
+
+  const latestStats = statsHistory.length > 0 ? statsHistory[statsHistory.length - 1] : null;
+  const slowness = latestStats ? diagnoseSlowness(latestStats, latestStats.desktopResponseTime) : null;
+
   const runDiagnostics = () => {
     const ua = navigator.userAgent;
     const isIOS = /iPhone|iPad|iPod/.test(ua);
@@ -112,6 +250,50 @@ export default function ConnectionDiagnostics({ debugLogs, connectionState, serv
     setTestResults(results);
   };
 
+  const runSelfTest = async () => {
+    setConnectivityResult(null);
+    try {
+      const result = await runConnectivityTest({
+        iceConfig: resolveStoredIceConfig(roomId),
+        signalingServer,
+        onProgress: setConnectivityStep
+      });
+      setConnectivityResult(result);
+    } catch (err) {
+      console.error('[Diagnostics] Connectivity test failed:', err);
+      setConnectivityResult({ error: err.message });
+    } finally {
+      setConnectivityStep(null);
+    }
+  };
+
+  const runSpeedTest = async () => {
+    setBenchmarkError(null);
+    setBenchmarkProgress(0);
+    try {
+      const result = await runBenchmark(benchmarkBytes(benchmarkSize), setBenchmarkProgress);
+      setBenchmarkResults(saveBenchmarkResult(result));
+    } catch (err) {
+      console.error('[Diagnostics] Speed test failed:', err);
+      setBenchmarkError(err.message);
+    } finally {
+      setBenchmarkProgress(null);
+    }
+  };
+
+  const clearSpeedTests = () => {
+    clearBenchmarkResults();
+    setBenchmarkResults([]);
+  };
+
+  const copyConnectivityReport = () => {
+    navigator.clipboard.writeText(formatConnectivityReport(connectivityResult)).then(() => {
+      alert('Connectivity report copied to clipboard!');
+    }).catch(err => {
+      console.error('Failed to copy connectivity report:', err);
+    });
+  };
+
   const copyLogsToClipboard = () => {
     const logText = debugLogs.map(log =>
       `[${log.timestamp}] ${log.level.toUpperCase()}: ${log.message}${
@@ -127,7 +309,7 @@ export default function ConnectionDiagnostics({ debugLogs, connectionState, serv
   };
 
   const copyDiagnosticsToClipboard = () => {
-    const diagText = JSON.stringify(diagnostics, null, 2);
+    const diagText = JSON.stringify({ ...diagnostics, webrtcStats: latestStats, speedTests: benchmarkResults }, null, 2);
     navigator.clipboard.writeText(diagText).then(() => {
       alert('Diagnostics copied to clipboard!');
     }).catch(err => {
@@ -195,7 +377,8 @@ export default function ConnectionDiagnostics({ debugLogs, connectionState, serv
             <div style={styles.statusBadge}>
               {connectionState.toUpperCase()}
             </div>
-            {serverInfo && (
+            {/* The HTTPS health probe only applies to direct connections */}
+            {isDirectMode && (
               <>
                 <p style={styles.info}>
                   Server: {serverInfo.address}:{serverInfo.port}
@@ -217,6 +400,219 @@ export default function ConnectionDiagnostics({ debugLogs, connectionState, serv
             )}
           </section>
 
+          {/* Live WebRTC Statistics */}
+          {getConnectionStats && (
+            <section style={styles.section}>
+              <h3 style={styles.sectionTitle}>WebRTC Statistics</h3>
+              {connectionState !== 'connected' ? (
+                <p style={styles.info}>Available while connected to the desktop.</p>
+              ) : !latestStats ? (
+                <p style={styles.info}>Waiting for the first sample...</p>
+              ) : (
+                <>
+                  <table style={styles.table}>
+                    <tbody>
+                      <tr>
+                        <td style={styles.label}>Route:</td>
+                        <td style={styles.value}>
+                          {CANDIDATE_TYPE_LABELS[latestStats.localCandidateType] || latestStats.localCandidateType || 'unknown'}
+                          {' '}({latestStats.localCandidateType || '?'} → {latestStats.remoteCandidateType || '?'}
+                          {latestStats.protocol ? `, ${latestStats.protocol.toUpperCase()}` : ''}
+                          {latestStats.relayProtocol ? ` via ${latestStats.relayProtocol.toUpperCase()}` : ''})
+                        </td>
+                      </tr>
+                      <tr>
+                        <td style={styles.label}>Round Trip:</td>
+                        <td style={styles.value}>{latestStats.rtt === null ? 'N/A' : `${latestStats.rtt}ms`}</td>
+                      </tr>
+                      <tr>
+                        <td style={styles.label}>Outgoing Bitrate:</td>
+                        <td style={styles.value}>{formatBitrate(latestStats.availableOutgoingBitrate)}</td>
+                      </tr>
+                      <tr>
+                        <td style={styles.label}>Received:</td>
+                        <td style={styles.value}>
+                          {formatBytes(latestStats.bytesReceived)}
+                          {latestStats.receiveRate !== null && ` (${formatBytes(latestStats.receiveRate)}/s)`}
+                        </td>
+                      </tr>
+                      <tr>
+                        <td style={styles.label}>Sent:</td>
+                        <td style={styles.value}>
+                          {formatBytes(latestStats.bytesSent)}
+                          {latestStats.sendRate !== null && ` (${formatBytes(latestStats.sendRate)}/s)`}
+                        </td>
+                      </tr>
+                      <tr>
+                        <td style={styles.label}>Packet Loss:</td>
+                        <td style={styles.value}>
+                          {latestStats.packetLoss === null ? 'N/A' : `${(latestStats.packetLoss * 100).toFixed(1)}%`}
+                        </td>
+                      </tr>
+                      <tr>
+                        <td style={styles.label}>Desktop Response:</td>
+                        <td style={styles.value}>
+                          {latestStats.desktopResponseTime === null ? 'N/A' : `${latestStats.desktopResponseTime}ms (request → first byte)`}
+                        </td>
+                      </tr>
+                    </tbody>
+                  </table>
+                  <p style={slowness ? styles.warning : styles.info}>
+                    {slowness ? SLOWNESS_VERDICTS[slowness] : 'No bottleneck detected'}
+                  </p>
+                  <StatsGraph
+                    label="Round trip (ms)"
+                    samples={statsHistory}
+                    valueKey="rtt"
+                    format={value => `${Math.round(value)}ms`}
+                    color="#007bff"
+                  />
+                  <StatsGraph
+                    label="Receive rate"
+                    samples={statsHistory}
+                    valueKey="receiveRate"
+                    format={value => `${formatBytes(value)}/s`}
+                    color="#28a745"
+                  />
+                  <StatsGraph
+                    label="Desktop response (ms)"
+                    samples={statsHistory}
+                    valueKey="desktopResponseTime"
+                    format={value => `${Math.round(value)}ms`}
+                    color="#ff9800"
+                  />
+                </>
+              )}
+            </section>
+          )}
+
+          {/* Throughput Benchmark */}
+          {runBenchmark && (
+            <section style={styles.section}>
+              <h3 style={styles.sectionTitle}>Speed Test</h3>
+              <p style={styles.info}>
+                Streams synthetic data from the desktop over the photo path and measures how it arrives.
+              </p>
+              {!canRunBenchmark ? (
+                <p style={styles.info}>
+                  {connectionState === 'connected'
+                    ? 'The desktop app does not support speed tests - update it to run one.'
+                    : 'Available while connected to the desktop.'}
+                </p>
+              ) : (
+                <>
+                  <div>
+                    {BENCHMARK_SIZES_MB.map(size => (
+                      <button
+                        key={size}
+                        onClick={() => setBenchmarkSize(size)}
+                        disabled={benchmarkProgress !== null}
+                        style={size === benchmarkSize ? styles.button : { ...styles.button, background: '#6c757d' }}
+                      >
+                        {size} MB
+                      </button>
+                    ))}
+                  </div>
+                  <button onClick={runSpeedTest} disabled={benchmarkProgress !== null} style={styles.button}>
+                    {benchmarkProgress !== null ? 'Testing...' : 'Run Speed Test'}
+                  </button>
+                  {benchmarkProgress !== null && (
+                    <p style={styles.info}>
+                      Received {formatBytes(benchmarkProgress)} of {formatBytes(benchmarkBytes(benchmarkSize))}
+                    </p>
+                  )}
+                </>
+              )}
+              {benchmarkError && (
+                <p style={styles.error}>Speed test failed: {benchmarkError}</p>
+              )}
+              {benchmarkResults.length > 0 && (
+                <div style={styles.testResults}>
+                  <table style={styles.table}>
+                    <thead>
+                      <tr>
+                        <th style={styles.resultHeader}>When</th>
+                        <th style={styles.resultHeader}>Size</th>
+                        <th style={styles.resultHeader}>Throughput</th>
+                        <th style={styles.resultHeader}>First Byte</th>
+                        <th style={styles.resultHeader}>Jitter</th>
+                        <th style={styles.resultHeader}>Network</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {benchmarkResults.map(result => (
+                        <tr key={result.timestamp}>
+                          <td style={styles.value}>{new Date(result.timestamp).toLocaleString()}</td>
+                          <td style={styles.value}>{formatBytes(result.size)}</td>
+                          <td style={styles.value}>
+                            {result.throughput === null ? 'N/A' : formatBitrate(result.throughput * 8)}
+                          </td>
+                          <td style={styles.value}>{result.ttfb === null ? 'N/A' : `${result.ttfb}ms`}</td>
+                          <td style={styles.value}>{result.jitter === null ? 'N/A' : `${result.jitter.toFixed(1)}ms`}</td>
+                          <td style={styles.value}>{formatNetworkType(result.network)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <button onClick={clearSpeedTests} style={styles.smallButton}>
+                    Clear Results
+                  </button>
+                </div>
+              )}
+            </section>
+          )}
+
+          {/* Connectivity Self-Test */}
+          {signalingServer !== undefined && (
+            <section style={styles.section}>
+              <h3 style={styles.sectionTitle}>Connectivity Test</h3>
+              <p style={styles.info}>
+                Checks the signaling server, your NAT and the configured STUN/TURN servers.
+              </p>
+              <button onClick={runSelfTest} disabled={connectivityStep !== null} style={styles.button}>
+                {connectivityStep ? 'Testing...' : 'Run Connectivity Test'}
+              </button>
+              {connectivityStep && (
+                <p style={styles.info}>{TEST_STEP_LABELS[connectivityStep]}</p>
+              )}
+              {connectivityResult?.error && (
+                <p style={styles.error}>Test could not run: {connectivityResult.error}</p>
+              )}
+              {connectivityResult?.verdict && (
+                <div style={styles.testResults}>
+                  <div style={{
+                    ...styles.verdict,
+                    ...(connectivityResult.verdict.level === VERDICT_LEVELS.FAIL ? styles.verdictFail : {}),
+                    ...(connectivityResult.verdict.level === VERDICT_LEVELS.WARN ? styles.verdictWarn : {})
+                  }}>
+                    {connectivityResult.verdict.messages.map(message => (
+                      <p key={message} style={{ margin: '4px 0' }}>{message}</p>
+                    ))}
+                  </div>
+                  <p>NAT type: {connectivityResult.natType}</p>
+                  <p>
+                    Candidates: {connectivityResult.gathering.candidates.length}
+                    {' '}({Array.from(new Set(connectivityResult.gathering.candidates.map(candidate => candidate.type))).join(', ') || 'none'})
+                    {!connectivityResult.gathering.complete && ' - gathering timed out'}
+                  </p>
+                  <p>
+                    Signaling: {connectivityResult.signaling.ok
+                      ? `✅ ${connectivityResult.signaling.latency}ms (${connectivityResult.signaling.transport})`
+                      : `❌ ${connectivityResult.signaling.error}`}
+                  </p>
+                  <p>
+                    Data channel loopback: {connectivityResult.loopback.ok
+                      ? `✅ ${connectivityResult.loopback.rtt}ms`
+                      : `❌ ${connectivityResult.loopback.error}`}
+                  </p>
+                  <button onClick={copyConnectivityReport} style={styles.button}>
+                    Copy Report
+                  </button>
+                </div>
+              )}
+            </section>
+          )}
+
           {/* iOS-Specific Warnings */}
           {diagnostics.isIOS && (
             <section style={styles.section}>
@@ -247,7 +643,7 @@ export default function ConnectionDiagnostics({ debugLogs, connectionState, serv
                   <p style={{ fontSize: '14px', marginBottom: '10px' }}>
                     Install the certificate once - works forever, no warnings!
                   </p>
-                  {serverInfo && (
+                  {isDirectMode && (
                     <>
                       <a
                         href={`https://${serverInfo.address}:${serverInfo.port}/setup`}
@@ -287,7 +683,7 @@ export default function ConnectionDiagnostics({ debugLogs, connectionState, serv
                   <p style={{ fontSize: '13px', marginBottom: '8px' }}>
                     📱 Quick method (needs to be done before each connection):
                   </p>
-                  {serverInfo && (
+                  {isDirectMode && (
                     <>
                       <p style={{ fontSize: '13px', marginBottom: '8px' }}>
                         1. Copy this URL: <code style={{ background: 'white', padding: '2px 6px', borderRadius: '3px' }}>
@@ -401,6 +797,11 @@ const styles = {
   value: {
     padding: '4px 8px'
   },
+  resultHeader: {
+    fontWeight: 'bold',
+    textAlign: 'left',
+    padding: '4px 8px'
+  },
   statusBadge: {
     display: 'inline-block',
     padding: '8px 16px',
@@ -441,6 +842,22 @@ const styles = {
     borderRadius: '4px',
     fontSize: '14px'
   },
+  verdict: {
+    padding: '10px',
+    marginBottom: '10px',
+    borderRadius: '4px',
+    background: '#d4edda',
+    color: '#155724',
+    fontWeight: 'bold'
+  },
+  verdictWarn: {
+    background: '#fff3cd',
+    color: '#856404'
+  },
+  verdictFail: {
+    background: '#f8d7da',
+    color: '#721c24'
+  },
   warningBox: {
     padding: '10px',
     background: '#fff3cd',
@@ -490,6 +907,22 @@ const styles = {
   logMessage: {
     color: '#e0e0e0'
   },
+  graph: {
+    marginTop: '10px'
+  },
+  graphLabel: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '12px',
+    color: '#666',
+    marginBottom: '2px'
+  },
+  graphSvg: {
+    width: '100%',
+    height: '60px',
+    background: '#f8f9fa',
+    borderRadius: '4px'
+  },
   logMetadata: {
     marginTop: '4px',
     marginLeft: '20px',
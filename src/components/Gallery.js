@@ -1,14 +1,130 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { TRANSFER_PRIORITY } from '../lib/transferScheduler';
+import { PIN_TIERS } from '../lib/photoCache';
+import { PHOTO_TIERS, pickPhotoTier } from '../lib/photoTiers';
+import { SINK_METHODS } from '../lib/fileSink';
+import { isVideo, formatDuration } from '../lib/videoStream';
+import VideoPlayer from './VideoPlayer';
+import PhotoInfoDrawer from './PhotoInfoDrawer';
 import './Gallery.css';
 
-const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest, photoData, requestPhoto, connectionMode, folders, currentFolderId, requestFolders, requestFolderPhotos, loadMorePhotos, totalPhotoCount, hasMorePhotos }) => {
+// Human-readable byte counts for progress displays
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return '--';
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+// The viewer shows a medium preview first, then upgrades to full size
+const VIEWER_TIERS = [PHOTO_TIERS.MEDIUM, PHOTO_TIERS.FULL];
+
+/**
+ * Offline pin status and actions shown on a folder tile
+ */
+const FolderPinControl = ({ folder, pin, connected, canPin, choosingTier, onChooseTier, onPin, onUnpin }) => {
+  if (!pin && !canPin) {
+    return null;
+  }
+
+  let status = null;
+  if (pin) {
+    if (pin.status === 'syncing') {
+      status = !connected
+        ? 'SYNC WAITING FOR DESKTOP'
+        : pin.total > 0 ? `SYNCING ${pin.completed}/${pin.total}` : 'SYNCING...';
+    } else if (pin.status === 'error') {
+      status = pin.failed > 0 ? `OFFLINE · ${pin.failed} FAILED` : 'OFFLINE · SYNC FAILED';
+    } else {
+      status = 'AVAILABLE OFFLINE';
+    }
+  }
+
+  return (
+    <div className="folder-pin" onClick={(e) => e.stopPropagation()}>
+      {pin ? (
+        <>
+          <span className={`folder-pin-status${pin.status === 'error' ? ' error' : ''}`}>
+            📌 {status}
+          </span>
+          <button onClick={() => onUnpin(folder.id)}>REMOVE OFFLINE COPY</button>
+        </>
+      ) : choosingTier ? (
+        <>
+          {Object.entries(PIN_TIERS).map(([tier, { label }]) => (
+            <button key={tier} onClick={() => onPin(folder.id, tier)}>{label}</button>
+          ))}
+          <button onClick={() => onChooseTier(null)}>CANCEL</button>
+        </>
+      ) : (
+        <button onClick={() => onChooseTier(folder.id)}>MAKE AVAILABLE OFFLINE</button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Grid tile that registers itself with the gallery's IntersectionObserver
+ */
+const PhotoTile = ({ photo, photoUrl, failed, observe, unobserve, onClick, onRetry }) => {
+  const tileRef = useRef(null);
+
+  useEffect(() => {
+    const node = tileRef.current;
+    if (!node) return;
+    observe(node);
+    return () => unobserve(node);
+  }, [observe, unobserve]);
+
+  return (
+    <div
+      ref={tileRef}
+      data-photo-id={photo.id}
+      className="photo-item"
+      onClick={!photoUrl && failed ? onRetry : onClick}
+    >
+      {isVideo(photo) && (
+        <span className="photo-item-duration">▶ {formatDuration(photo.duration)}</span>
+      )}
+      {photoUrl ? (
+        <img
+          src={photoUrl}
+          alt={photo.filename}
+          loading="lazy"
+        />
+      ) : failed ? (
+        <div className="photo-loading photo-failed">
+          FAILED<br />
+          TAP TO RETRY
+        </div>
+      ) : (
+        <div className="photo-loading">
+          LOADING...
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Gallery = ({ photos, connectionState, reconnectStatus, error, syncProgress, requestManifest, photoData, requestPhoto, setPhotoPriority, setPhotoVisible, cancelPhoto, cancelAllPhotos, photoErrors, retryPhoto, photoMetadata, requestMetadata, connectionMode, folders, currentFolderId, requestFolders, requestFolderPhotos, loadMorePhotos, totalPhotoCount, hasMorePhotos, pinnedFolders, pinFolder, unpinFolder, requestVideoInfo, fetchVideoRange, cancelVideoRequests, desktopFeatures, canDownloadOriginals, downloadOriginal, cancelOriginalDownload, originalDownloads }) => {
   const [selectedPhoto, setSelectedPhoto] = useState(null);
-  const [loadedThumbnails, setLoadedThumbnails] = useState(new Set());
+  const [pinTierFolderId, setPinTierFolderId] = useState(null); // Folder tile showing the tier choice
+  const [showInfo, setShowInfo] = useState(false); // Viewer info drawer open
   const [requestedFullSize, setRequestedFullSize] = useState(new Set()); // Track which photos we've requested at full-size
-  const [currentBatch, setCurrentBatch] = useState(0);
   const [breadcrumbs, setBreadcrumbs] = useState([]);
-  const BATCH_SIZE = 20;
-  const BATCH_DELAY = 500; // ms between batches
+  const requestedThumbnailsRef = useRef(new Set()); // Thumbnails already handed to the request queue
+  const observerRef = useRef(null);
+  const previousFolderIdRef = useRef(currentFolderId);
+  const setPhotoPriorityRef = useRef(setPhotoPriority);
+  setPhotoPriorityRef.current = setPhotoPriority;
+  const setPhotoVisibleRef = useRef(setPhotoVisible);
+  setPhotoVisibleRef.current = setPhotoVisible;
 
   // Debug: Log what we received
   console.log('[Gallery] Props received:', {
@@ -77,6 +193,9 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
       if (requestManifest) {
         requestManifest();
       }
+      if (requestFolderPhotos) {
+        requestFolderPhotos('all');
+      }
       setBreadcrumbs([]);
     } else if (requestFolderPhotos) {
       requestFolderPhotos(folderId, false);
@@ -95,32 +214,70 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
     return currentFolder ? currentFolder.subfolders : [];
   };
 
+  // Offline, a pinned folder's viewer asks only for the tier that was pinned
+  const currentPin = pinnedFolders?.[currentFolderId];
+  const photoViewerTiers = connectionState !== 'connected' && currentPin && PIN_TIERS[currentPin.tier]
+    ? [PIN_TIERS[currentPin.tier].tier]
+    : VIEWER_TIERS;
+  // A video only needs a poster frame - the video itself is streamed by VideoPlayer
+  const getViewerTiers = (photo) => (isVideo(photo) ? photoViewerTiers.slice(0, 1) : photoViewerTiers);
+  const viewerTiers = getViewerTiers(selectedPhoto);
+  const viewerTargetTier = viewerTiers[viewerTiers.length - 1];
+  const selectedIsVideo = isVideo(selectedPhoto);
+
+  // Actions the connected desktop doesn't advertise are hidden; offline they keep their cached state
+  const desktopLacks = (feature) => connectionMode === 'webrtc' && connectionState === 'connected' &&
+    Boolean(desktopFeatures) && !desktopFeatures[feature];
+  const canShowInfo = !desktopLacks('metadata');
+  const canPlayVideo = !desktopLacks('video');
+  // New pins need a desktop that echoes listing requestIds; existing pins stay manageable offline
+  const canPinFolders = connectionMode === 'webrtc' && Boolean(desktopFeatures?.listingRequestIds);
+
   const handlePhotoClick = (photo) => {
     console.log('[Gallery] Photo clicked:', {
       photoId: photo.id,
       hasRequestPhoto: !!requestPhoto,
       hasPhotoData: !!photoData,
-      photoLoaded: photoData?.[photo.id] ? 'Yes' : 'No',
+      loadedTiers: Object.keys(photoData?.[photo.id] || {}),
       fullSizeRequested: requestedFullSize.has(photo.id)
     });
     setSelectedPhoto(photo);
 
     // Request full-size photo if not already requested (WebRTC mode only)
     if (requestPhoto && connectionMode === 'webrtc' && !requestedFullSize.has(photo.id)) {
-      console.log('[Gallery] Requesting full-size photo:', photo.id, '(quality: 90, max: 4096px)');
-      // Request high quality, large dimension for full-size viewing
-      // quality 90, max dimension 4096px (4K)
-      requestPhoto(photo.id, 90, 4096);
+      const tiers = getViewerTiers(photo);
+      console.log('[Gallery] Requesting viewer tiers:', photo.id, tiers);
+      // Tiers already loaded are skipped by the hook; the rest arrive smallest first
+      tiers.forEach(tier => requestPhoto(photo.id, tier, TRANSFER_PRIORITY.VIEWER));
       setRequestedFullSize(prev => new Set(prev).add(photo.id));
     }
   };
 
   const handleClosePhoto = () => {
+    // Stop streaming viewer tiers nobody is looking at anymore
+    const missingTiers = selectedPhoto
+      ? viewerTiers.filter(tier => !photoData?.[selectedPhoto.id]?.[tier])
+      : [];
+    if (cancelPhoto && missingTiers.length > 0) {
+      missingTiers.forEach(tier => cancelPhoto(selectedPhoto.id, tier));
+      setRequestedFullSize(prev => {
+        const next = new Set(prev);
+        next.delete(selectedPhoto.id);
+        return next;
+      });
+    }
     setSelectedPhoto(null);
   };
 
   const handleDownload = (photo) => {
-    const photoUrl = photoData && photoData[photo.id] ? photoData[photo.id] : photo.url;
+    if (canDownloadOriginals && downloadOriginal) {
+      // Untouched file from the desktop, streamed straight to disk
+      downloadOriginal(photo);
+      return;
+    }
+
+    // Largest tier loaded so far
+    const photoUrl = pickPhotoTier(photoData?.[photo.id], PHOTO_TIERS.ORIGINAL)?.url || photo.url;
     if (!photoUrl) {
       console.warn('[Gallery] Cannot download - photo not loaded');
       return;
@@ -136,16 +293,80 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
     console.log('[Gallery] Download initiated:', photo.filename);
   };
 
-  // Reset batch counter when photos change
+  // Thumbnails on screen jump ahead of the prefetch queue and keep their blob URLs
+  const getObserver = useCallback(() => {
+    if (!observerRef.current && typeof IntersectionObserver !== 'undefined') {
+      observerRef.current = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          const photoId = entry.target.dataset.photoId;
+          if (setPhotoPriorityRef.current) {
+            setPhotoPriorityRef.current(
+              photoId,
+              entry.isIntersecting ? TRANSFER_PRIORITY.VISIBLE : TRANSFER_PRIORITY.PREFETCH
+            );
+          }
+          if (setPhotoVisibleRef.current) {
+            setPhotoVisibleRef.current(photoId, entry.isIntersecting);
+          }
+        });
+      }, { rootMargin: '200px' });
+    }
+    return observerRef.current;
+  }, []);
+
+  const observeTile = useCallback((node) => {
+    getObserver()?.observe(node);
+  }, [getObserver]);
+
+  const unobserveTile = useCallback((node) => {
+    observerRef.current?.unobserve(node);
+    // Unmounted tiles get no final intersection callback
+    if (setPhotoVisibleRef.current) {
+      setPhotoVisibleRef.current(node.dataset.photoId, false);
+    }
+  }, []);
+
+  // The open photo keeps its URL even when its grid tile scrolls away
+  const selectedPhotoId = selectedPhoto?.id;
   useEffect(() => {
-    if (photos && photos.length > 0) {
-      setCurrentBatch(0);
-      setLoadedThumbnails(new Set());
-      setRequestedFullSize(new Set());
+    if (!selectedPhotoId || !setPhotoVisibleRef.current) return;
+    setPhotoVisibleRef.current(selectedPhotoId, true, 'viewer');
+    return () => {
+      if (setPhotoVisibleRef.current) {
+        setPhotoVisibleRef.current(selectedPhotoId, false, 'viewer');
+      }
+    };
+  }, [selectedPhotoId]);
+
+  // The info drawer loads EXIF for whichever photo is open while it is shown
+  useEffect(() => {
+    if (showInfo && canShowInfo && selectedPhotoId && requestMetadata && connectionState === 'connected') {
+      requestMetadata(selectedPhotoId);
     }
-  }, [photos]);
+  }, [showInfo, canShowInfo, selectedPhotoId, requestMetadata, connectionState]);
+
+  useEffect(() => {
+    return () => {
+      if (observerRef.current) {
+        observerRef.current.disconnect();
+        observerRef.current = null;
+      }
+    };
+  }, []);
 
-  // Auto-load thumbnails in batches
+  // Leaving a folder cancels its outstanding requests and forgets queued thumbnails
+  useEffect(() => {
+    if (previousFolderIdRef.current === currentFolderId) return;
+    previousFolderIdRef.current = currentFolderId;
+
+    if (cancelAllPhotos) {
+      cancelAllPhotos();
+    }
+    requestedThumbnailsRef.current = new Set();
+    setRequestedFullSize(new Set());
+  }, [currentFolderId, cancelAllPhotos]);
+
+  // Queue thumbnails for every listed photo; the hook's scheduler decides the order
   useEffect(() => {
     if (!requestPhoto || !photos || photos.length === 0 || connectionMode !== 'webrtc' || currentFolderId === 'all') {
       console.log('[Gallery] Auto-load skipped:', {
@@ -159,54 +380,24 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
       return;
     }
 
-    // Calculate batch range
-    const startIndex = currentBatch * BATCH_SIZE;
-    const endIndex = Math.min(startIndex + BATCH_SIZE, photos.length);
-
-    // Check if we've loaded all batches
-    if (startIndex >= photos.length) {
-      console.log('[Gallery] All batches loaded');
-      return;
-    }
-
-    // Get photos for current batch that haven't been loaded yet
-    const photosToLoad = photos.slice(startIndex, endIndex).filter(photo =>
-      !loadedThumbnails.has(photo.id) && (!photoData || !photoData[photo.id])
+    const photosToLoad = photos.filter(photo =>
+      !requestedThumbnailsRef.current.has(photo.id) && !photoData?.[photo.id]?.[PHOTO_TIERS.THUMB]
     );
 
     if (photosToLoad.length > 0) {
-      console.log(`[Gallery] Loading batch ${currentBatch + 1} (photos ${startIndex + 1}-${endIndex} of ${photos.length})`);
-
-      // Request thumbnails for this batch
-      photosToLoad.forEach((photo, index) => {
-        console.log(`[Gallery] Requesting thumbnail ${index + 1}/${photosToLoad.length}: ${photo.filename} (${photo.id.substring(0, 8)}...)`);
-        // Smaller thumbnails for faster loading: quality 40, max 300px
-        requestPhoto(photo.id, 40, 300);
-      });
+      console.log(`[Gallery] Queueing ${photosToLoad.length} thumbnails (${photos.length} photos listed)`);
 
-      // Mark these photos as loaded
-      setLoadedThumbnails(prev => {
-        const newSet = new Set(prev);
-        photosToLoad.forEach(photo => newSet.add(photo.id));
-        return newSet;
+      photosToLoad.forEach(photo => {
+        requestPhoto(photo.id, PHOTO_TIERS.THUMB, TRANSFER_PRIORITY.PREFETCH);
+        requestedThumbnailsRef.current.add(photo.id);
       });
-
-      // Schedule next batch after delay
-      const timer = setTimeout(() => {
-        setCurrentBatch(prev => prev + 1);
-      }, BATCH_DELAY);
-
-      return () => clearTimeout(timer);
-    } else {
-      // All photos in this batch already loaded, move to next batch immediately
-      console.log(`[Gallery] Batch ${currentBatch + 1} already loaded, skipping to next`);
-      setCurrentBatch(prev => prev + 1);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentBatch, photos, requestPhoto, connectionMode, currentFolderId]);
+  }, [photos, requestPhoto, connectionMode, currentFolderId]);
 
   // Show connection/error states
-  if (connectionState === 'disconnected' && photos.length === 0) {
+  // Cached folders stay browsable while disconnected
+  if (connectionState === 'disconnected' && photos.length === 0 && !(folders && folders.length > 0)) {
     return (
       <div className="gallery-empty">
         NOT CONNECTED TO SERVER<br />
@@ -231,6 +422,17 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
     );
   }
 
+  if (connectionState === 'incompatible') {
+    return (
+      <div className="gallery-empty">
+        DESKTOP APP TOO OLD<br />
+        {error}<br />
+        <br />
+        UPDATE PHOTOSYNC ON YOUR COMPUTER AND RECONNECT
+      </div>
+    );
+  }
+
   if (connectionState === 'error' && error) {
     return (
       <div className="gallery-empty">
@@ -253,13 +455,16 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
   }
 
   // Calculate loading progress
-  const loadedCount = Object.keys(photoData || {}).length;
-  const totalCount = photos.length;
-  const isLoading = loadedCount < totalCount && connectionMode === 'webrtc';
+  const isLoading = connectionMode === 'webrtc' && syncProgress.total > 0 && syncProgress.current < syncProgress.total;
+  const viewerTransfer = selectedPhoto ? syncProgress.transfers?.[selectedPhoto.id] : null;
+  const viewerImage = selectedPhoto ? pickPhotoTier(photoData?.[selectedPhoto.id], viewerTargetTier) : null;
+  const originalDownload = selectedPhoto ? originalDownloads?.[selectedPhoto.id] : null;
+  const originalTransfer = selectedPhoto ? syncProgress.downloads?.[selectedPhoto.id] : null;
 
   return (
     <>
-      {connectionState === 'connected' && (
+      {/* The gallery stays up while reconnecting so folder and scroll position survive a dropped connection */}
+      {(connectionState === 'connected' || connectionState === 'disconnected' || connectionState === 'reconnecting') && (
         <>
           {/* Navigation Bar */}
           <div style={{
@@ -330,29 +535,41 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
 
           {/* Refresh button and loading indicator */}
           <div style={{ marginBottom: '15px', textAlign: 'center' }}>
-            <button
-              onClick={requestManifest}
-              style={{
+            {connectionState === 'connected' ? (
+              <button
+                onClick={requestManifest}
+                style={{
+                  fontFamily: "'VT323', monospace",
+                  fontSize: '18px',
+                  padding: '10px 20px',
+                  background: '#fff',
+                  color: '#000',
+                  border: '3px solid #000',
+                  cursor: 'pointer',
+                  textTransform: 'uppercase',
+                }}
+                onMouseOver={(e) => {
+                  e.target.style.background = '#000';
+                  e.target.style.color = '#fff';
+                }}
+                onMouseOut={(e) => {
+                  e.target.style.background = '#fff';
+                  e.target.style.color = '#000';
+                }}
+              >
+                REFRESH PHOTOS
+              </button>
+            ) : (
+              <div style={{
                 fontFamily: "'VT323', monospace",
                 fontSize: '18px',
-                padding: '10px 20px',
-                background: '#fff',
-                color: '#000',
-                border: '3px solid #000',
-                cursor: 'pointer',
-                textTransform: 'uppercase',
-              }}
-              onMouseOver={(e) => {
-                e.target.style.background = '#000';
-                e.target.style.color = '#fff';
-              }}
-              onMouseOut={(e) => {
-                e.target.style.background = '#fff';
-                e.target.style.color = '#000';
-              }}
-            >
-              REFRESH PHOTOS
-            </button>
+                color: '#666'
+              }}>
+                {connectionState === 'reconnecting'
+                  ? `CONNECTION LOST · RECONNECTING${reconnectStatus ? ` (ATTEMPT ${reconnectStatus.attempt}/${reconnectStatus.maxAttempts})` : '...'}`
+                  : 'OFFLINE · SHOWING CACHED PHOTOS'}
+              </div>
+            )}
             {isLoading && (
               <div style={{
                 marginTop: '10px',
@@ -360,7 +577,9 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
                 fontSize: '16px',
                 color: '#666'
               }}>
-                LOADING THUMBNAILS: {loadedCount}/{totalCount}
+                LOADING {syncProgress.current}/{syncProgress.total}
+                {' · '}{formatBytes(syncProgress.bytesPerSecond)}/S
+                {' · '}ETA {formatEta(syncProgress.eta)}
               </div>
             )}
           </div>
@@ -380,32 +599,40 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
             <div style={{ fontSize: '14px', opacity: 0.7 }}>
               {folder.totalPhotoCount !== undefined ? folder.totalPhotoCount : folder.photoCount} PHOTOS
             </div>
+            {pinFolder && (
+              <FolderPinControl
+                folder={folder}
+                pin={pinnedFolders?.[folder.id]}
+                connected={connectionState === 'connected'}
+                canPin={canPinFolders}
+                choosingTier={pinTierFolderId === folder.id}
+                onChooseTier={setPinTierFolderId}
+                onPin={(folderId, tier) => {
+                  pinFolder(folderId, tier);
+                  setPinTierFolderId(null);
+                }}
+                onUnpin={unpinFolder}
+              />
+            )}
           </div>
         ))}
 
         {/* Render photos ONLY when not viewing "all" */}
         {currentFolderId !== 'all' && photos.map((photo) => {
-          // Use photoData if available (WebRTC), otherwise use photo.thumbnail (legacy)
-          const photoUrl = photoData && photoData[photo.id] ? photoData[photo.id] : photo.thumbnail;
+          // Use the smallest loaded tier (WebRTC), otherwise photo.thumbnail (legacy)
+          const photoUrl = pickPhotoTier(photoData?.[photo.id], PHOTO_TIERS.THUMB)?.url || photo.thumbnail;
 
           return (
-            <div
+            <PhotoTile
               key={photo.id}
-              className="photo-item"
+              photo={photo}
+              photoUrl={photoUrl}
+              failed={!!photoErrors?.[photo.id]}
+              observe={observeTile}
+              unobserve={unobserveTile}
               onClick={() => handlePhotoClick(photo)}
-            >
-              {photoUrl ? (
-                <img
-                  src={photoUrl}
-                  alt={photo.filename}
-                  loading="lazy"
-                />
-              ) : (
-                <div className="photo-loading">
-                  LOADING...
-                </div>
-              )}
-            </div>
+              onRetry={() => retryPhoto && retryPhoto(photo.id)}
+            />
           );
         })}
       </div>
@@ -456,16 +683,34 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
           <div className="photo-viewer-content" onClick={(e) => e.stopPropagation()}>
             <div className="photo-viewer-header">
               <span>{selectedPhoto.filename}</span>
-              {connectionMode === 'webrtc' && requestedFullSize.has(selectedPhoto.id) && photoData && photoData[selectedPhoto.id] && (
+              {selectedIsVideo && (
                 <span style={{
                   fontSize: '14px',
                   color: '#00ff00',
                   marginLeft: '10px',
                 }}>
-                  HIGH QUALITY
+                  VIDEO · {formatDuration(selectedPhoto.duration)}
                 </span>
               )}
-              {connectionMode === 'webrtc' && !photoData?.[selectedPhoto.id] && (
+              {connectionMode === 'webrtc' && !selectedIsVideo && viewerImage?.tier === viewerTargetTier && (
+                <span style={{
+                  fontSize: '14px',
+                  color: '#00ff00',
+                  marginLeft: '10px',
+                }}>
+                  {viewerTargetTier === PHOTO_TIERS.FULL ? 'HIGH QUALITY' : viewerTargetTier.toUpperCase()}
+                </span>
+              )}
+              {connectionMode === 'webrtc' && !selectedIsVideo && viewerImage && viewerImage.tier !== viewerTargetTier && (
+                <span style={{
+                  fontSize: '14px',
+                  color: '#ffcc00',
+                  marginLeft: '10px',
+                }}>
+                  PREVIEW · LOADING {viewerTargetTier.toUpperCase()}...
+                </span>
+              )}
+              {connectionMode === 'webrtc' && !selectedIsVideo && !viewerImage && (
                 <span style={{
                   fontSize: '14px',
                   color: '#ffcc00',
@@ -474,25 +719,121 @@ const Gallery = ({ photos, connectionState, error, syncProgress, requestManifest
                   LOADING...
                 </span>
               )}
-              <button
-                className="close-btn"
-                onClick={() => handleDownload(selectedPhoto)}
-                style={{
-                  marginRight: '10px',
-                  background: '#00aa00',
-                  borderColor: '#00aa00',
-                }}
-                disabled={!photoData?.[selectedPhoto.id]}
-              >
-                DOWNLOAD
-              </button>
+              {originalDownload?.status === 'saving' ? (
+                <button
+                  className="close-btn"
+                  onClick={() => cancelOriginalDownload && cancelOriginalDownload(selectedPhoto.id)}
+                  style={{ marginRight: '10px' }}
+                >
+                  CANCEL SAVE
+                </button>
+              ) : (
+                <button
+                  className="close-btn"
+                  onClick={() => handleDownload(selectedPhoto)}
+                  style={{
+                    marginRight: '10px',
+                    background: '#00aa00',
+                    borderColor: '#00aa00',
+                  }}
+                  disabled={!canDownloadOriginals && (!viewerImage || selectedIsVideo)}
+                >
+                  {canDownloadOriginals ? 'DOWNLOAD ORIGINAL' : 'DOWNLOAD'}
+                </button>
+              )}
+              {canShowInfo && (
+                <button
+                  className="close-btn"
+                  onClick={() => setShowInfo(prev => !prev)}
+                  style={{ marginRight: '10px' }}
+                >
+                  {showInfo ? 'HIDE INFO' : 'INFO'}
+                </button>
+              )}
               <button className="close-btn" onClick={handleClosePhoto}>
                 CLOSE
               </button>
             </div>
+            {showInfo && canShowInfo && (
+              <PhotoInfoDrawer
+                photo={selectedPhoto}
+                metadata={photoMetadata?.[selectedPhoto.id]}
+                connected={connectionState === 'connected'}
+                onClose={() => setShowInfo(false)}
+              />
+            )}
+            {connectionMode === 'webrtc' && viewerTransfer && (
+              <div className="photo-viewer-progress">
+                <div
+                  className="photo-viewer-progress-bar"
+                  style={{ width: `${viewerTransfer.percent}%` }}
+                />
+                <span className="photo-viewer-progress-label">
+                  {viewerTransfer.percent}% ({formatBytes(viewerTransfer.received)} / {formatBytes(viewerTransfer.size)})
+                </span>
+              </div>
+            )}
+            {originalDownload?.status === 'saving' && (
+              <div className="photo-viewer-progress">
+                <div
+                  className="photo-viewer-progress-bar"
+                  style={{ width: `${originalTransfer?.percent || 0}%` }}
+                />
+                <span className="photo-viewer-progress-label">
+                  {originalTransfer
+                    ? `SAVING ORIGINAL ${originalTransfer.percent}% (${formatBytes(originalTransfer.received)} / ${formatBytes(originalTransfer.size)})`
+                    : 'SAVING ORIGINAL...'}
+                </span>
+              </div>
+            )}
+            {originalDownload?.status === 'saved' && (
+              <div className="photo-viewer-save-status">
+                ORIGINAL SAVED{originalDownload.method !== SINK_METHODS.DISK ? ' TO DOWNLOADS' : ''}: {originalDownload.filename}
+              </div>
+            )}
+            {originalDownload?.status === 'error' && (
+              <div className="photo-viewer-save-status error">
+                SAVE FAILED: {originalDownload.error?.toUpperCase()}
+              </div>
+            )}
             <div className="photo-viewer-image">
               {(() => {
-                const photoUrl = photoData && photoData[selectedPhoto.id] ? photoData[selectedPhoto.id] : selectedPhoto.url;
+                const photoUrl = viewerImage?.url || selectedPhoto.url;
+                if (selectedIsVideo && canPlayVideo && connectionMode === 'webrtc' && connectionState === 'connected' && requestVideoInfo) {
+                  return (
+                    <VideoPlayer
+                      video={selectedPhoto}
+                      poster={photoUrl}
+                      requestVideoInfo={requestVideoInfo}
+                      fetchVideoRange={fetchVideoRange}
+                      cancelVideoRequests={cancelVideoRequests}
+                    />
+                  );
+                }
+                if (selectedIsVideo && photoUrl) {
+                  return (
+                    <div className="video-player">
+                      <img src={photoUrl} alt={selectedPhoto.filename} />
+                      <div className="video-player-status">
+                        {canPlayVideo
+                          ? 'CONNECT TO YOUR DESKTOP TO PLAY THIS VIDEO'
+                          : 'YOUR DESKTOP APP CANNOT STREAM VIDEOS - UPDATE IT TO PLAY THIS VIDEO'}
+                      </div>
+                    </div>
+                  );
+                }
+                if (!photoUrl && photoErrors?.[selectedPhoto.id]) {
+                  return (
+                    <div
+                      className="photo-failed"
+                      onClick={() => retryPhoto && retryPhoto(selectedPhoto.id)}
+                      style={{ fontSize: '24px', cursor: 'pointer', textAlign: 'center' }}
+                    >
+                      FAILED TO LOAD PHOTO<br />
+                      TAP TO RETRY
+                    </div>
+                  );
+                }
                 return photoUrl ? (
                   <img src={photoUrl} alt={selectedPhoto.filename} />
                 ) : (
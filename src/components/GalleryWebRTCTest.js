@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { usePhotoSyncWebRTC } from '../hooks/usePhotoSyncWebRTC';
+import { PHOTO_TIERS, pickPhotoTier } from '../lib/photoTiers';
 import './Gallery.css';
 
 /**
@@ -37,7 +38,7 @@ const GalleryWebRTCTest = () => {
       photos.slice(0, 20).forEach(photo => {
         if (!requestedPhotos.has(photo.id)) {
           console.log('[GalleryTest] Requesting:', photo.filename);
-          requestPhoto(photo.id, 50, 400);
+          requestPhoto(photo.id, PHOTO_TIERS.THUMB);
           setRequestedPhotos(prev => new Set([...prev, photo.id]));
         }
       });
@@ -85,7 +86,7 @@ const GalleryWebRTCTest = () => {
 
       <div className="gallery">
         {photos.map((photo, index) => {
-          const photoUrl = photoData[photo.id];
+          const photoUrl = pickPhotoTier(photoData[photo.id], PHOTO_TIERS.THUMB)?.url;
 
           return (
             <div
@@ -126,7 +127,7 @@ const GalleryWebRTCTest = () => {
             </div>
             <div className="photo-viewer-image">
               {photoData[selectedPhoto.id] ? (
-                <img src={photoData[selectedPhoto.id]} alt={selectedPhoto.filename} />
+                <img src={pickPhotoTier(photoData[selectedPhoto.id], PHOTO_TIERS.MEDIUM).url} alt={selectedPhoto.filename} />
               ) : (
                 <div style={{ color: '#666', fontSize: '24px' }}>
                   LOADING PHOTO...
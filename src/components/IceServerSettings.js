@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import {
+  loadIceSettings,
+  saveIceSettings,
+  parseIceServerList,
+  formatIceServerList,
+  hasRelayServer,
+  ICE_TRANSPORT_POLICIES
+} from '../lib/iceConfig';
+
+const SOURCE_LABELS = {
+  settings: 'CUSTOM (THIS DEVICE)',
+  qr: 'FROM QR CODE',
+  runtime: 'FROM SERVER CONFIG',
+  default: 'GOOGLE STUN (DEFAULT)'
+};
+
+// Relay-only choices; DEFAULT leaves it to the QR code or server config
+const RELAY_CHOICES = [
+  { value: 'default', label: 'AS PAIRED / SERVER DEFAULT', relayOnly: null },
+  { value: 'always', label: 'ALWAYS (HIDE MY IP ADDRESS FROM THE DESKTOP)', relayOnly: true },
+  { value: 'never', label: 'NEVER', relayOnly: false }
+];
+
+const buttonStyle = {
+  fontFamily: "'VT323', monospace",
+  fontSize: '16px',
+  padding: '8px 16px',
+  background: '#fff',
+  color: '#000',
+  border: '2px solid #000',
+  cursor: 'pointer',
+  textTransform: 'uppercase',
+  width: '100%',
+};
+
+/**
+ * Settings panel for STUN/TURN servers and relay-only mode
+ * Changes apply to the next peer connection
+ */
+const IceServerSettings = ({ iceConfig }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [stored] = useState(loadIceSettings);
+  const [useCustom, setUseCustom] = useState(stored.iceServers !== null);
+  const [serverText, setServerText] = useState(stored.iceServers ? formatIceServerList(stored.iceServers) : '');
+  const [relayOnly, setRelayOnly] = useState(stored.relayOnly);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  if (!expanded) {
+    return (
+      <div style={{ marginBottom: '20px' }}>
+        <button onClick={() => setExpanded(true)} style={buttonStyle}>
+          SHOW ICE SERVERS
+        </button>
+      </div>
+    );
+  }
+
+  const handleSave = () => {
+    try {
+      const iceServers = useCustom ? parseIceServerList(serverText) : null;
+      saveIceSettings({ iceServers, relayOnly });
+      setError(null);
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+      setSaved(false);
+    }
+  };
+
+  const markChanged = () => setSaved(false);
+
+  const relayInEffect = relayOnly ?? iceConfig?.iceTransportPolicy === ICE_TRANSPORT_POLICIES.RELAY;
+  let relayWarning = null;
+  if (relayInEffect) {
+    let servers = iceConfig?.iceServers || [];
+    if (useCustom) {
+      try {
+        servers = parseIceServerList(serverText);
+      } catch (err) {
+        servers = [];
+      }
+    }
+    if (!hasRelayServer(servers)) {
+      relayWarning = 'NO TURN SERVER CONFIGURED - RELAY-ONLY CONNECTIONS WILL FAIL';
+    }
+  }
+
+  return (
+    <div style={{
+      marginBottom: '20px',
+      padding: '15px',
+      border: '2px solid #000',
+      background: '#fff',
+    }}>
+      <p className="info-text" style={{ marginBottom: '10px' }}>
+        <strong>ICE SERVERS</strong>
+      </p>
+      {iceConfig && (
+        <p className="info-text" style={{ fontSize: '14px', color: '#666', marginBottom: '10px' }}>
+          IN USE: {SOURCE_LABELS[iceConfig.source] || iceConfig.source}
+          {' · '}{iceConfig.iceServers.length} SERVER(S)
+          {iceConfig.iceTransportPolicy === ICE_TRANSPORT_POLICIES.RELAY && ' · RELAY ONLY'}
+        </p>
+      )}
+
+      <label className="info-text" style={{ display: 'block', fontSize: '14px', marginBottom: '8px' }}>
+        <input
+          type="checkbox"
+          checked={useCustom}
+          onChange={(e) => { setUseCustom(e.target.checked); markChanged(); }}
+          style={{ marginRight: '8px' }}
+        />
+        USE MY OWN SERVERS
+      </label>
+      {useCustom && (
+        <>
+          <textarea
+            value={serverText}
+            onChange={(e) => { setServerText(e.target.value); markChanged(); }}
+            placeholder={'stun:stun.example.com:3478\nturn:turn.example.com:3478 USERNAME PASSWORD'}
+            rows={4}
+            spellCheck={false}
+            autoCapitalize="off"
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              fontFamily: 'monospace',
+              fontSize: '13px',
+              padding: '8px',
+              border: '2px solid #000',
+              marginBottom: '6px',
+            }}
+          />
+          <p className="info-text" style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+            ONE SERVER PER LINE · LEAVE EMPTY TO USE NO STUN/TURN SERVER (SAME NETWORK ONLY)
+          </p>
+        </>
+      )}
+
+      <label className="info-text" style={{ display: 'block', fontSize: '14px', marginBottom: '8px' }}>
+        RELAY ONLY:
+        <select
+          value={RELAY_CHOICES.find(choice => choice.relayOnly === relayOnly).value}
+          onChange={(e) => {
+            setRelayOnly(RELAY_CHOICES.find(choice => choice.value === e.target.value).relayOnly);
+            markChanged();
+          }}
+          style={{
+            display: 'block',
+            width: '100%',
+            marginTop: '4px',
+            fontFamily: "'VT323', monospace",
+            fontSize: '16px',
+            padding: '4px',
+            border: '2px solid #000',
+          }}
+        >
+          {RELAY_CHOICES.map(choice => (
+            <option key={choice.value} value={choice.value}>{choice.label}</option>
+          ))}
+        </select>
+      </label>
+      {relayWarning && (
+        <p className="info-text" style={{ fontSize: '13px', color: '#ff0000', marginBottom: '8px' }}>
+          {relayWarning}
+        </p>
+      )}
+      {error && (
+        <p className="info-text" style={{ fontSize: '13px', color: '#ff0000', marginBottom: '8px' }}>
+          {error.toUpperCase()}
+        </p>
+      )}
+
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button onClick={handleSave} style={{ ...buttonStyle, background: '#000', color: '#fff' }}>
+          {saved ? 'SAVED - APPLIES ON NEXT CONNECTION' : 'SAVE'}
+        </button>
+        <button onClick={() => setExpanded(false)} style={buttonStyle}>
+          HIDE
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default IceServerSettings;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { buildPhotoInfo, formatPhotoInfoText } from '../lib/photoMetadata';
+
+// How long the COPIED confirmation stays on the button
+const COPIED_DISPLAY_TIME = 2000; // ms
+
+/**
+ * Copy text, falling back to a hidden textarea where the Clipboard API is
+ * unavailable (plain-HTTP LAN deployments aren't a secure context)
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+async function copyToClipboard(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  document.body.removeChild(textarea);
+  if (!copied) {
+    throw new Error('Copy command failed');
+  }
+}
+
+/**
+ * Viewer drawer with EXIF and file details for a photo
+ */
+const PhotoInfoDrawer = ({ photo, metadata, connected, onClose }) => {
+  const [copyState, setCopyState] = useState(null); // null, 'copied', 'failed'
+
+  useEffect(() => {
+    setCopyState(null);
+  }, [photo.id]);
+
+  useEffect(() => {
+    if (!copyState) return;
+    const timer = setTimeout(() => setCopyState(null), COPIED_DISPLAY_TIME);
+    return () => clearTimeout(timer);
+  }, [copyState]);
+
+  const rows = buildPhotoInfo(photo, metadata?.error ? null : metadata);
+
+  const handleCopy = () => {
+    copyToClipboard(formatPhotoInfoText(photo, rows))
+      .then(() => setCopyState('copied'))
+      .catch(err => {
+        console.warn('[PhotoInfoDrawer] Copy failed:', err.message);
+        setCopyState('failed');
+      });
+  };
+
+  let exifStatus = null;
+  if (metadata?.error) {
+    exifStatus = 'EXIF UNAVAILABLE';
+  } else if (!metadata) {
+    exifStatus = connected ? 'LOADING EXIF...' : 'EXIF AVAILABLE WHEN CONNECTED';
+  }
+
+  return (
+    <div className="photo-info-drawer">
+      <div className="photo-info-header">
+        <span>INFO</span>
+        <button onClick={handleCopy} disabled={rows.length === 0}>
+          {copyState === 'copied' ? 'COPIED' : copyState === 'failed' ? 'COPY FAILED' : 'COPY'}
+        </button>
+        <button onClick={onClose}>HIDE</button>
+      </div>
+      {exifStatus && <div className="photo-info-status">{exifStatus}</div>}
+      <dl className="photo-info-rows">
+        {rows.map(({ label, value }) => (
+          <React.Fragment key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export default PhotoInfoDrawer;
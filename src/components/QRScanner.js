@@ -1,5 +1,6 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import { Html5Qrcode } from 'html5-qrcode';
+import { normalizeIceServers } from '../lib/iceConfig';
 import './QRScanner.css';
 
 const QRScanner = ({ onScanSuccess, onScanError }) => {
@@ -37,6 +38,19 @@ const QRScanner = ({ onScanSuccess, onScanError }) => {
       throw new Error('Invalid room ID format');
     }
 
+    // Optional STUN/TURN servers chosen on the desktop
+    if (payload.iceServers !== undefined) {
+      try {
+        normalizeIceServers(payload.iceServers);
+      } catch (err) {
+        throw new Error(`Invalid ICE servers - ${err.message}`);
+      }
+    }
+
+    if (payload.relayOnly !== undefined && typeof payload.relayOnly !== 'boolean') {
+      throw new Error('Invalid relayOnly flag - must be true or false');
+    }
+
     return true;
   };
 
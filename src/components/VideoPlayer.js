@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { canStreamVideo, createVideoStream } from '../lib/videoStream';
+
+/**
+ * Viewer player for a desktop video, streamed in byte ranges over the data channel
+ * The poster frame shows until the first segment has been appended
+ */
+const VideoPlayer = ({ video, poster, requestVideoInfo, fetchVideoRange, cancelVideoRequests }) => {
+  const videoRef = useRef(null);
+  const [status, setStatus] = useState('loading'); // loading, ready, unsupported, error
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  useEffect(() => {
+    let stream = null;
+    let closed = false;
+
+    const showError = (err) => {
+      console.warn('[VideoPlayer] Playback failed:', video.id, err.message);
+      setErrorMessage(err.message);
+      setStatus('error');
+    };
+
+    setStatus('loading');
+    setErrorMessage(null);
+
+    requestVideoInfo(video.id).then(info => {
+      if (closed) return;
+      if (!canStreamVideo(info.mimeType)) {
+        console.warn('[VideoPlayer] Unsupported stream type:', info.mimeType);
+        setStatus('unsupported');
+        return;
+      }
+      stream = createVideoStream(videoRef.current, info, {
+        fetchRange: (offset, length) => fetchVideoRange(video.id, offset, length),
+        onError: (err) => {
+          if (!closed) showError(err);
+        }
+      });
+      setStatus('ready');
+    }).catch(err => {
+      if (!closed) showError(err);
+    });
+
+    return () => {
+      closed = true;
+      if (stream) {
+        stream.destroy();
+      }
+      cancelVideoRequests(video.id);
+    };
+  }, [video.id, requestVideoInfo, fetchVideoRange, cancelVideoRequests]);
+
+  return (
+    <div className="video-player">
+      <video
+        ref={videoRef}
+        poster={poster || undefined}
+        controls={status === 'ready'}
+        autoPlay
+        playsInline
+      />
+      {status === 'loading' && (
+        <div className="video-player-status">LOADING VIDEO...</div>
+      )}
+      {status === 'unsupported' && (
+        <div className="video-player-status error">
+          THIS BROWSER CANNOT PLAY THIS VIDEO<br />
+          DOWNLOAD THE ORIGINAL INSTEAD
+        </div>
+      )}
+      {status === 'error' && (
+        <div className="video-player-status error">
+          PLAYBACK FAILED{errorMessage ? `: ${errorMessage.toUpperCase()}` : ''}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VideoPlayer;
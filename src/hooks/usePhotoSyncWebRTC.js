@@ -7,39 +7,352 @@
  * - Works through VPNs
  * - Direct P2P connection (private and fast)
  * - No certificate complexity
+ *
+ * All data channel traffic uses the framed wire format from
+ * lib/photoSyncProtocol. Photo transfers are multiplexed: every
+ * `request-photo` carries a numeric `requestId`, the desktop echoes it in
+ * `photo-start`/`photo-complete` and in the header of each CHUNK frame, so
+ * many transfers can be in flight at once and are reassembled per request.
+ * Photos are requested by quality tier (see lib/photoTiers); `photoData`
+ * keeps one blob URL per tier so thumbnails and full-size images coexist.
+ * Each request lists the image formats this browser decodes (see
+ * lib/imageFormats) as `acceptFormats`, and `photo-start` reports the format
+ * the desktop encoded, so thumbnails arrive as AVIF/WebP where possible.
+ * Transfers interrupted by a dropped channel are re-requested on reconnect
+ * with a `resumeOffset`; the desktop answers with a `photo-start` whose
+ * `offset` says where the remaining bytes begin.
+ *
+ * Right after the data channel opens both sides exchange a `hello` message
+ * with protocol version, app version, max chunk size and supported features.
+ * Nothing else is requested until the desktop's `hello` arrives; a desktop
+ * that never answers or speaks an older protocol is reported as too old.
+ *
+ * When the desktop supports them, photo transfers run on separate bulk data
+ * channels (see lib/bulkChannels) so heartbeat and folder navigation on the
+ * control channel stay responsive during large downloads.
+ *
+ * Received photos and folder listings are kept in a persistent IndexedDB
+ * cache (see lib/photoCache). `requestPhoto` is answered from the cache
+ * before anything goes over the wire, and the last viewed folder is restored
+ * from it on launch so the gallery works while the desktop is offline.
+ * The blob URLs in `photoData` are owned by a memory-budgeted store (see
+ * lib/blobUrlStore); photos it evicts are loaded again, usually from the
+ * cache, as soon as they are displayed again.
+ *
+ * Folders can be pinned for offline viewing: every thumbnail plus a chosen
+ * full-size tier is downloaded into the cache and kept out of eviction.
+ * Pin listings are fetched with a `request-folder-photos` that carries a
+ * `requestId`, which the desktop echoes in `folder-photos` so they are not
+ * mistaken for the folder on screen; pinning is only offered by desktops
+ * that advertise this as the `listingRequestIds` feature. Listings without
+ * a known `requestId` are only shown if they are for the folder on screen.
+ * Pinned folders are re-listed on every connect, when the desktop reports
+ * `folder-changed`, and whenever a live listing of them arrives, so the
+ * pinned copy tracks the desktop.
+ *
+ * Desktops that advertise the `originals` feature answer `request-original`
+ * with the untouched file (RAW files and full EXIF included), framed like a
+ * photo transfer. Those bytes never go to `photoData` or the cache: they
+ * are streamed to a file sink (see lib/fileSink) and hashed incrementally,
+ * so files of several hundred MB are saved without being held in memory.
+ * When the disk falls behind, the transfer is cancelled and requested again
+ * with a `resumeOffset` once the sink has caught up.
+ * EXIF metadata for the viewer's info drawer is fetched on demand with a
+ * tracked `request-metadata` (see lib/photoMetadata).
+ *
+ * Listings mark videos with `mediaType: 'video'` and a `duration`; their
+ * photo tiers are poster frames. Playback (see lib/videoStream) asks for a
+ * `video-info` describing the desktop's fragmented MP4 rendition and then
+ * for byte ranges of it: `request-range` is answered with CHUNK frames
+ * carrying its requestId followed by `range-complete`. Range requests are
+ * promises owned by the player - they bypass the photo queue and are never
+ * retried here, so a seek can simply abandon them.
+ *
+ * A dropped P2P connection (typically a phone switching between Wi-Fi and
+ * cellular) is recovered automatically (see lib/reconnectionController).
+ * While ICE is only disconnected, we restart it with an `iceRestart` offer
+ * sent as a regular `offer`, which the desktop answers on its existing
+ * connection. Once the connection is gone, we re-join the signaling room
+ * so the desktop sends a fresh offer. Transfers, the photo queue and the
+ * folder being browsed survive recovery; a fresh connection resumes them
+ * after its hello.
+ *
+ * STUN/TURN servers are resolved for every new peer connection (see
+ * lib/iceConfig). The signaling server may add TURN servers with
+ * short-lived credentials to `room-joined`, and the desktop may add its own
+ * to its `hello`; the desktop's are also applied to the live connection so
+ * a later ICE restart can use them.
+ *
+ * Desktops that advertise the `benchmark` feature answer
+ * `request-benchmark` with `size` bytes of synthetic data as CHUNK frames
+ * carrying its requestId, sent the way photos are, followed by
+ * `benchmark-complete`. The bytes are only counted and timed (see
+ * lib/throughputBenchmark); one benchmark runs at a time.
  */
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import SimplePeer from 'simple-peer';
 import { io } from 'socket.io-client';
+import {
+  FRAME_TYPES,
+  FRAME_HEADER_SIZE,
+  PROTOCOL_VERSION,
+  MIN_PEER_PROTOCOL_VERSION,
+  decodeFrame,
+  decodeControlPayload,
+  encodeControlMessage,
+  supportsFeature
+} from '../lib/photoSyncProtocol';
+import { verifyDigest, createIncrementalDigest } from '../lib/transferIntegrity';
+import { createTransferScheduler, TRANSFER_PRIORITY } from '../lib/transferScheduler';
+import {
+  BULK_CHANNEL_IDS,
+  negotiateBulkChannelIds,
+  openBulkChannels,
+  closeBulkChannels
+} from '../lib/bulkChannels';
+import { createChannelSender } from '../lib/channelSender';
+import { createBlobUrlStore } from '../lib/blobUrlStore';
+import { createPhotoCache, requestPersistentStorage, PIN_TIERS } from '../lib/photoCache';
+import { PHOTO_TIERS, TIER_RENDITIONS, tierRank } from '../lib/photoTiers';
+import { openFileSink, SINK_METHODS, MAX_IN_MEMORY_SIZE } from '../lib/fileSink';
+import { IMAGE_FORMATS, detectImageFormats, negotiateImageFormats } from '../lib/imageFormats';
+import { MEDIA_TYPES } from '../lib/videoStream';
+import { createReconnectionController } from '../lib/reconnectionController';
+import { readPeerStats } from '../lib/peerStats';
+import { createThroughputMeter, getNetworkInfo } from '../lib/throughputBenchmark';
+import {
+  resolveStoredIceConfig,
+  normalizeIssuedIceServers,
+  hasRelayServer,
+  ICE_TRANSPORT_POLICIES
+} from '../lib/iceConfig';
+
+const APP_VERSION = process.env.REACT_APP_VERSION || '1.0.0';
+
+// Largest chunk this client asks the desktop to send
+const DEFAULT_MAX_CHUNK_SIZE = 64 * 1024; // bytes
+
+// Chunk size every browser pair accepts, used when the SCTP limit is unknown
+const SAFE_CHUNK_SIZE = 16 * 1024; // bytes
+
+/**
+ * Chunk size that fits the SCTP max message size negotiated for this
+ * connection, leaving room for the frame header
+ * @param {RTCPeerConnection} [pc]
+ * @returns {{maxMessageSize: number|null, maxChunkSize: number}}
+ */
+const getNegotiatedChunkSize = (pc) => {
+  const maxMessageSize = pc?.sctp?.maxMessageSize;
+  if (!maxMessageSize) {
+    // No SCTP transport info (older Safari) - stick to the lowest common denominator
+    return { maxMessageSize: null, maxChunkSize: SAFE_CHUNK_SIZE };
+  }
+  // maxMessageSize is Infinity when the remote places no limit
+  return {
+    maxMessageSize: Number.isFinite(maxMessageSize) ? maxMessageSize : null,
+    maxChunkSize: Math.min(DEFAULT_MAX_CHUNK_SIZE, maxMessageSize - FRAME_HEADER_SIZE)
+  };
+};
+
+// Features this client advertises in its hello; `formats` is replaced by the detected ones
+const CLIENT_FEATURES = {
+  formats: [IMAGE_FORMATS.JPEG],
+  metadata: true,
+  writeOperations: [],
+  resume: true,
+  cancel: true,
+  sha256: true,
+  originals: true,
+  bulkChannels: BULK_CHANNEL_IDS,
+  video: true,
+  listingRequestIds: true,
+  benchmark: true
+};
+
+// Least time between benchmark progress callbacks
+const BENCHMARK_PROGRESS_INTERVAL = 250; // ms
+
+// ICE that stays disconnected this long is restarted rather than left to recover on its own
+const ICE_DISCONNECT_GRACE = 2000; // ms
+
+// A desktop that hasn't answered our hello by then predates the handshake
+const HELLO_TIMEOUT = 5000; // ms
+
+// Transfers whose digest doesn't match are retried until this many attempts
+const MAX_INTEGRITY_ATTEMPTS = 3;
+
+// Photo transfers running concurrently over the data channel (viewer requests excepted)
+const MAX_TRANSFERS_IN_FLIGHT = 6;
+
+// A request with no response (or no new chunk) for this long is considered lost
+const REQUEST_TIMEOUT = 15000; // ms
+
+// Lost requests are retried with exponential backoff until this many attempts
+const MAX_REQUEST_ATTEMPTS = 4;
+const RETRY_BASE_DELAY = 1000; // ms, doubled on every retry
+
+// How often request deadlines are checked
+const DEADLINE_CHECK_INTERVAL = 1000; // ms
+
+// Minimum interval between syncProgress state updates
+const PROGRESS_UPDATE_INTERVAL = 250; // ms
+
+// Smoothing factor for the bytes-per-second moving average
+const RATE_SMOOTHING = 0.3;
+
+// Recent request-to-photo-start times kept for connection diagnostics
+const RESPONSE_TIME_SAMPLES = 20;
+
+// Scheduler key: one job per photo and tier
+const transferKey = (photoId, tier) => `${photoId}:${tier}`;
+
+// Pin downloads get their own keys so cancelling on-screen requests never touches them
+const PIN_KEY_PREFIX = 'pin:';
+const pinTransferKey = (photoId, tier) => `${PIN_KEY_PREFIX}${transferKey(photoId, tier)}`;
+
+// Original downloads are keyed apart from display tiers so cancelling a photo never aborts a save
+const originalTransferKey = (photoId) => `original:${photoId}`;
+
+// Blob URL store key: one URL per photo and tier
+const blobUrlKey = (photoId, tier) => `${photoId}:${tier}`;
+
+/**
+ * Build a request-photo message for a tier
+ * The tier's quality/maxDimension are sent too for desktops that predate tiers
+ * @param {number} requestId
+ * @param {string} photoId
+ * @param {string} tier
+ * @param {string[]} [acceptFormats] - Image formats to accept, most preferred first
+ */
+const buildPhotoRequest = (requestId, photoId, tier, acceptFormats) => ({
+  type: 'request-photo',
+  requestId,
+  photoId,
+  tier,
+  ...TIER_RENDITIONS[tier],
+  // The original tier is sent as stored, so its format isn't negotiable
+  ...(acceptFormats && tier !== PHOTO_TIERS.ORIGINAL ? { acceptFormats } : {})
+});
+
+/**
+ * Build the request that (re)starts a transfer
+ * Transfers saved to a file sink ask for the untouched original file
+ */
+const buildTransferRequest = (requestId, transfer) => (transfer.sink
+  ? { type: 'request-original', requestId, photoId: transfer.photoId }
+  : buildPhotoRequest(requestId, transfer.photoId, transfer.tier, transfer.acceptFormats));
+
+// Tiers a grid tile can fall back to; the viewer keeps every tier of its photo
+const GRID_TIERS = [PHOTO_TIERS.THUMB, PHOTO_TIERS.MEDIUM];
+
+// Page size for listing a folder that is being pinned
+const PIN_LISTING_PAGE_SIZE = 500;
+
+// Page size for browsing a folder
+const FOLDER_PAGE_SIZE = 200;
 
 export const usePhotoSyncWebRTC = () => {
   // Connection state
-  const [connectionState, setConnectionState] = useState('disconnected'); // disconnected, connecting, connected, error
+  const [connectionState, setConnectionState] = useState('disconnected'); // disconnected, connecting, connected, reconnecting, incompatible, error
   const [error, setError] = useState(null);
+  const [reconnectStatus, setReconnectStatus] = useState(null); // { attempt, maxAttempts, method, nextRetryAt } while reconnecting
 
   // Photo data
   const [photos, setPhotos] = useState([]);
-  const [photoData, setPhotoData] = useState({}); // photoId -> blob URL
+  const [photoData, setPhotoData] = useState({}); // photoId -> { [tier]: blob URL }
   const [folders, setFolders] = useState([]);
   const [currentFolderId, setCurrentFolderId] = useState('all');
   const [totalPhotoCount, setTotalPhotoCount] = useState(0);
   const [hasMorePhotos, setHasMorePhotos] = useState(false);
+  const [photoErrors, setPhotoErrors] = useState({}); // photoId -> { reason, tier }
+  const [pinnedFolders, setPinnedFolders] = useState({}); // folderId -> { tier, status, total, completed, failed, syncedAt }
+  const [originalDownloads, setOriginalDownloads] = useState({}); // photoId -> { status, filename, method, error }
+  const [photoMetadata, setPhotoMetadata] = useState({}); // photoId -> EXIF tags (see lib/photoMetadata), or { error }
 
   // Progress tracking
-  const [syncProgress, ] = useState({ current: 0, total: 0 });
+  // current/total count photos in the active queue; bytes are summed over the same photos
+  const [syncProgress, setSyncProgress] = useState({
+    current: 0,
+    total: 0,
+    bytesReceived: 0,
+    bytesTotal: 0,
+    bytesPerSecond: 0,
+    eta: null, // seconds, null when unknown
+    transfers: {}, // photoId -> { received, size, percent, tier }
+    downloads: {} // photoId -> { received, size, percent } for originals being saved
+  });
 
   // Connection info
   const [connectionInfo, setConnectionInfo] = useState(null); // { signalingServer, roomId }
+  const [peerCapabilities, setPeerCapabilities] = useState(null); // Desktop's hello: { protocolVersion, appVersion, maxChunkSize, chunkSize, features }
+  const [iceConfig, setIceConfig] = useState(null); // { iceServers, iceTransportPolicy, source } of the current peer connection
 
   // Refs for persistent connections
   const signalingSocketRef = useRef(null);
   const peerRef = useRef(null);
-  const photoBufferRef = useRef(null); // Buffer for receiving photo chunks
-  const currentPhotoRef = useRef(null); // Current photo being received
+  const transfersRef = useRef(new Map()); // requestId -> in-flight photo transfer
+  const nextRequestIdRef = useRef(1); // Monotonic request ID counter
+  const pendingRequestsRef = useRef(new Map()); // key -> unanswered folder/manifest request
+  const progressRef = useRef(null); // Counters behind syncProgress
+  const progressTimerRef = useRef(null); // Throttles syncProgress updates
+  const schedulerRef = useRef(null); // Priority queue for photo requests
+  if (!schedulerRef.current) {
+    schedulerRef.current = createTransferScheduler({ maxInFlight: MAX_TRANSFERS_IN_FLIGHT });
+  }
   const heartbeatIntervalRef = useRef(null); // Signaling keep-alive timer
   const peerHeartbeatIntervalRef = useRef(null); // P2P keep-alive timer
-  const photoDataRef = useRef({}); // Track photoData for cleanup without dependency
+  const helloTimeoutRef = useRef(null); // Handshake deadline
+  const localChunkSizeRef = useRef(SAFE_CHUNK_SIZE); // Max chunk size advertised in our hello
+  const localFormatsRef = useRef([IMAGE_FORMATS.JPEG]); // Image formats this browser decodes
+  const acceptFormatsRef = useRef([IMAGE_FORMATS.JPEG]); // Formats both sides support, sent with photo requests
+  const bulkChannelsRef = useRef([]); // Negotiated photo data channels
+  const controlSenderRef = useRef(null); // Backpressure-aware queue for the control channel
+  const pumpWaitingRef = useRef(false); // Photo request queue is waiting for the control channel to drain
+  const pumpTransferQueueRef = useRef(null); // Latest pumpTransferQueue for that wait
+  const handlePeerDataRef = useRef(null); // Latest handlePeerData for bulk channel callbacks
+  const evictedPhotosRef = useRef(new Map()); // photoId -> Set of tiers whose URLs were revoked for memory
+  const blobUrlStoreRef = useRef(null); // Owns the blob URLs in photoData
+  if (!blobUrlStoreRef.current) {
+    blobUrlStoreRef.current = createBlobUrlStore({
+      onEvict: (key, { meta: { photoId, tier } }) => {
+        const evicted = evictedPhotosRef.current.get(photoId) || new Set();
+        evicted.add(tier);
+        evictedPhotosRef.current.set(photoId, evicted);
+        setPhotoData(prev => {
+          if (!prev[photoId]) return prev;
+          const { [tier]: _evicted, ...tiers } = prev[photoId];
+          const { [photoId]: _photo, ...rest } = prev;
+          return Object.keys(tiers).length > 0 ? { ...rest, [photoId]: tiers } : rest;
+        });
+      }
+    });
+  }
+  const photoCacheRef = useRef(null); // Persistent photo and listing cache
+  if (!photoCacheRef.current) {
+    photoCacheRef.current = createPhotoCache();
+  }
+  const cacheLookupsRef = useRef(new Map()); // key -> priority of requests waiting on a cache lookup
+  const photoIndexRef = useRef(new Map()); // photoId -> listed photo, for cache keys
+  const requestedFolderRef = useRef(null); // Folder the user navigated to (or restored on launch)
+  const liveListingFolderRef = useRef(null); // Folder whose listing came from the desktop this session
+  const pinnedFoldersRef = useRef({}); // Latest pinnedFolders for callbacks
+  pinnedFoldersRef.current = pinnedFolders;
+  const pinsLoadedRef = useRef(false); // Pinned folders restored from the cache
+  const pinSyncRef = useRef(new Map()); // folderId -> { tier, pending: Set(key), completed, failed, total }
+  const pinListingsRef = useRef(new Map()); // requestId -> { folderId, tier, photos } for pin listings
+  const photoMetadataRef = useRef({}); // Latest photoMetadata for callbacks
+  photoMetadataRef.current = photoMetadata;
+  const streamRequestsRef = useRef(new Map()); // requestId -> pending video-info or byte range request
+  const reconnectRef = useRef(null); // Recovers the P2P connection after unexpected drops
+  const desktopIdRef = useRef(null); // Signaling ID of the paired desktop
+  const iceGraceTimerRef = useRef(null); // Pending ICE restart while ICE is disconnected
+  const issuedIceServersRef = useRef({ signaling: [], desktop: [] }); // Short-lived TURN servers by issuer
+  const peerCapabilitiesRef = useRef(null); // Latest peerCapabilities, set before the hello's follow-up requests
+  const responseTimesRef = useRef([]); // ms from photo request to photo-start, most recent last
+  const benchmarkRef = useRef(null); // Running throughput benchmark
+  const photosRef = useRef([]); // Latest photos for callbacks
+  photosRef.current = photos;
 
   // Debug logs
   const [debugLogs, setDebugLogs] = useState([]);
@@ -52,10 +365,106 @@ export const usePhotoSyncWebRTC = () => {
     console.log(`[WebRTC ${level.toUpperCase()}]`, message);
   }, []);
 
-  // Keep photoDataRef in sync with photoData state
-  useEffect(() => {
-    photoDataRef.current = photoData;
-  }, [photoData]);
+  // Updated during render so requestPhoto calls from child effects see the latest listing
+  const photoIndex = useMemo(() => new Map(photos.map(photo => [photo.id, photo])), [photos]);
+  photoIndexRef.current = photoIndex;
+
+  /**
+   * Reset progress counters at the start of a new queue
+   */
+  const resetProgress = useCallback(() => {
+    progressRef.current = {
+      completed: 0,
+      completedBytes: 0,
+      bytesReceived: 0, // Cumulative, including in-flight transfers
+      lastSampleBytes: 0,
+      lastSampleTime: Date.now(),
+      bytesPerSecond: 0
+    };
+  }, []);
+
+  if (!progressRef.current) {
+    resetProgress();
+  }
+
+  /**
+   * Publish syncProgress from the transfer and queue refs
+   */
+  const flushProgress = useCallback(() => {
+    progressTimerRef.current = null;
+
+    const progress = progressRef.current;
+    const scheduler = schedulerRef.current;
+    const now = Date.now();
+
+    const transfers = {};
+    const downloads = {};
+    let inFlightReceived = 0;
+    let inFlightSize = 0;
+    transfersRef.current.forEach(transfer => {
+      if (!transfer.size) return;
+      if (transfer.sink) {
+        // Originals being saved are reported apart from the photo queue
+        downloads[transfer.photoId] = {
+          received: transfer.receivedBytes,
+          size: transfer.size,
+          percent: Math.min(100, Math.round((transfer.receivedBytes / transfer.size) * 100))
+        };
+        return;
+      }
+      inFlightReceived += transfer.receivedBytes;
+      inFlightSize += transfer.size;
+
+      // One entry per photo - the largest rendition is the one worth reporting
+      const existing = transfers[transfer.photoId];
+      if (!existing || tierRank(transfer.tier) > tierRank(existing.tier)) {
+        transfers[transfer.photoId] = {
+          received: transfer.receivedBytes,
+          size: transfer.size,
+          percent: Math.min(100, Math.round((transfer.receivedBytes / transfer.size) * 100)),
+          tier: transfer.tier
+        };
+      }
+    });
+
+    // Exponential moving average of throughput between flushes
+    const elapsed = (now - progress.lastSampleTime) / 1000;
+    if (elapsed > 0) {
+      const sample = (progress.bytesReceived - progress.lastSampleBytes) / elapsed;
+      progress.bytesPerSecond = transfersRef.current.size > 0
+        ? RATE_SMOOTHING * sample + (1 - RATE_SMOOTHING) * progress.bytesPerSecond
+        : 0;
+      progress.lastSampleBytes = progress.bytesReceived;
+      progress.lastSampleTime = now;
+    }
+
+    // Queued photos have no size yet - estimate them from the average completed photo
+    const averageSize = progress.completed > 0 ? progress.completedBytes / progress.completed : 0;
+    const remainingBytes = (inFlightSize - inFlightReceived) + averageSize * scheduler.queuedCount;
+    const eta = progress.bytesPerSecond > 0 && remainingBytes > 0
+      ? Math.round(remainingBytes / progress.bytesPerSecond)
+      : null;
+
+    setSyncProgress({
+      current: progress.completed,
+      total: progress.completed + scheduler.inFlightCount + scheduler.queuedCount,
+      bytesReceived: progress.completedBytes + inFlightReceived,
+      bytesTotal: progress.completedBytes + inFlightSize,
+      bytesPerSecond: Math.round(progress.bytesPerSecond),
+      eta,
+      transfers,
+      downloads
+    });
+  }, []);
+
+  /**
+   * Schedule a throttled syncProgress update
+   */
+  const scheduleProgressUpdate = useCallback(() => {
+    if (!progressTimerRef.current) {
+      progressTimerRef.current = setTimeout(flushProgress, PROGRESS_UPDATE_INTERVAL);
+    }
+  }, [flushProgress]);
 
   /**
    * Connect to desktop via WebRTC
@@ -86,8 +495,16 @@ export const usePhotoSyncWebRTC = () => {
         startHeartbeat();
       });
 
-      socket.on('room-joined', ({ roomId: joinedRoomId, desktopId }) => {
+      socket.on('room-joined', ({ roomId: joinedRoomId, desktopId, iceServers }) => {
         addLog(`Joined room: ${joinedRoomId}, desktop: ${desktopId}`);
+        if (iceServers) {
+          acceptIssuedIceServers('signaling', iceServers);
+        }
+        if (peerRef.current && !peerRef.current.destroyed) {
+          // Signaling reconnected underneath a P2P connection that still works (or is restarting ICE)
+          addLog('Keeping existing P2P connection');
+          return;
+        }
         // Create peer connection (desktop is initiator, we are not)
         createPeerConnection(false, desktopId);
       });
@@ -139,6 +556,10 @@ export const usePhotoSyncWebRTC = () => {
       socket.on('disconnect', () => {
         addLog('Disconnected from signaling server', 'warn');
         stopHeartbeat();
+        if (reconnectRef.current?.isActive()) {
+          // Recovery carries on once socket.io reconnects
+          return;
+        }
         if (connectionState !== 'disconnected') {
           setConnectionState('connecting'); // Will auto-reconnect
         }
@@ -155,18 +576,92 @@ export const usePhotoSyncWebRTC = () => {
         }
       });
 
+      // Restart ICE on the existing connection; the desktop answers our offer on its side
+      const restartIce = async () => {
+        const pc = peerRef.current?._pc;
+        if (!pc || pc.signalingState === 'closed') {
+          throw new Error('Peer connection closed');
+        }
+        if (!socket.connected) {
+          throw new Error('Signaling server unreachable');
+        }
+        const offer = await pc.createOffer({ iceRestart: true });
+        await pc.setLocalDescription(offer);
+        socket.emit('offer', { to: desktopIdRef.current, offer: { type: 'offer', sdp: pc.localDescription.sdp } });
+        addLog('Sent ICE restart offer');
+      };
+
+      // Replace the connection: re-joining the room makes the desktop send a fresh offer
+      const requestFreshOffer = () => {
+        closePeer();
+        if (socket.connected) {
+          socket.emit('join-room', { roomId });
+        } else {
+          // The 'connect' handler joins the room
+          socket.connect();
+        }
+      };
+
+      if (reconnectRef.current) {
+        reconnectRef.current.stop();
+      }
+      const reconnection = createReconnectionController({
+        canRestartIce: () => Boolean(peerRef.current && !peerRef.current.destroyed),
+        restartIce,
+        reconnect: requestFreshOffer,
+        onAttempt: ({ attempt, maxAttempts, method }) => {
+          addLog(`Reconnect attempt ${attempt}/${maxAttempts} (${method})`);
+          setReconnectStatus({ attempt, maxAttempts, method, nextRetryAt: null });
+        },
+        onRetryScheduled: ({ delay, reason }) => {
+          addLog(`Reconnect attempt failed (${reason}) - next attempt in ${delay}ms`, 'warn');
+          setReconnectStatus(prev => ({ ...prev, nextRetryAt: Date.now() + delay }));
+        },
+        onGiveUp: () => {
+          addLog('Could not reconnect to desktop - giving up', 'error');
+          setError('Connection lost - check your network and reconnect');
+          cleanup();
+          setConnectionState('disconnected');
+        }
+      });
+      reconnectRef.current = reconnection;
+
+      // The connection dropped without the user disconnecting
+      const recoverConnection = (reason) => {
+        if (peerRef.current?.destroyed) {
+          // Nothing left to restart - its late events must not count as another failure
+          closePeer();
+        }
+        if (reconnection.isActive()) {
+          reconnection.attemptFailed(reason);
+          return;
+        }
+        addLog(`P2P connection lost (${reason}) - reconnecting`, 'warn');
+        setConnectionState('reconnecting');
+        reconnection.start();
+      };
+
       // Create peer connection
       const createPeerConnection = (initiator, desktopId) => {
         addLog(`Creating peer connection (initiator: ${initiator})`);
+        desktopIdRef.current = desktopId;
+        let opened = false; // Only connections that worked once are recovered automatically
+
+        const ice = resolveStoredIceConfig(roomId, [
+          ...issuedIceServersRef.current.signaling,
+          ...issuedIceServersRef.current.desktop
+        ]);
+        setIceConfig(ice);
+        addLog(`ICE servers: ${ice.iceServers.length} (${ice.source}), transport policy: ${ice.iceTransportPolicy}`);
+        if (ice.iceTransportPolicy === ICE_TRANSPORT_POLICIES.RELAY && !hasRelayServer(ice.iceServers)) {
+          addLog('Relay-only mode without a TURN server - the connection cannot succeed', 'warn');
+        }
 
         const peer = new SimplePeer({
           initiator,
           config: {
-            iceServers: [
-              { urls: 'stun:stun.l.google.com:19302' },
-              { urls: 'stun:stun1.l.google.com:19302' },
-              { urls: 'stun:stun2.l.google.com:19302' }
-            ]
+            iceServers: ice.iceServers,
+            iceTransportPolicy: ice.iceTransportPolicy
           }
         });
 
@@ -185,32 +680,88 @@ export const usePhotoSyncWebRTC = () => {
         });
 
         peer.on('connect', () => {
+          opened = true;
           addLog('P2P connection established! 🎉');
-          setConnectionState('connected');
           setError(null);
 
+          // All outgoing messages go through a queue that respects the channel's send buffer
+          if (controlSenderRef.current) {
+            controlSenderRef.current.close();
+          }
+          controlSenderRef.current = createChannelSender(peer._channel, {
+            onError: (err) => console.warn('[PWA] Control channel send stalled:', err.message)
+          });
+
           // Start P2P heartbeat to keep data channel alive
           startPeerHeartbeat();
 
-          // Request folder structure first
-          requestFolders();
-
-          // Don't request manifest automatically - let user navigate folders
-          // requestManifest();
+          // Requests wait until the desktop answers the handshake
+          sendHello();
         });
 
         peer.on('data', (data) => {
           handlePeerData(data);
         });
 
+        peer.on('iceStateChange', (iceConnectionState) => {
+          if (peerRef.current !== peer) {
+            return;
+          }
+          if (iceConnectionState === 'disconnected') {
+            if (iceGraceTimerRef.current) {
+              return;
+            }
+            // ICE often comes back by itself after a brief outage
+            iceGraceTimerRef.current = setTimeout(() => {
+              iceGraceTimerRef.current = null;
+              if (peerRef.current === peer && peer._pc?.iceConnectionState === 'disconnected') {
+                recoverConnection('ICE disconnected');
+              }
+            }, ICE_DISCONNECT_GRACE);
+            return;
+          }
+          if (iceConnectionState === 'connected' || iceConnectionState === 'completed') {
+            if (iceGraceTimerRef.current) {
+              clearTimeout(iceGraceTimerRef.current);
+              iceGraceTimerRef.current = null;
+            }
+            // The data channels survived the ICE restart - carry on where we were
+            if (peer.connected && reconnection.isActive()) {
+              const attempts = reconnection.succeeded();
+              addLog(`ICE restart succeeded after ${attempts} attempt(s)`);
+              setReconnectStatus(null);
+              extendRequestDeadlines();
+              setConnectionState('connected');
+            }
+          }
+        });
+
         peer.on('error', (err) => {
+          if (peerRef.current !== peer) {
+            return;
+          }
           addLog(`Peer error: ${err.message}`, 'error');
+          if (opened || reconnection.isActive()) {
+            recoverConnection(err.message);
+            return;
+          }
           setError(err.message);
           setConnectionState('error');
         });
 
         peer.on('close', () => {
+          if (peerRef.current !== peer) {
+            return;
+          }
           addLog('P2P connection closed', 'warn');
+          if (opened || reconnection.isActive()) {
+            recoverConnection('connection closed');
+            return;
+          }
+          if (controlSenderRef.current) {
+            controlSenderRef.current.close();
+            controlSenderRef.current = null;
+          }
           setConnectionState('disconnected');
         });
 
@@ -225,157 +776,17 @@ export const usePhotoSyncWebRTC = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [connectionState, addLog]);
 
-  /**
-   * Finish photo download and create blob URL
-   */
-  const finishPhotoDownload = useCallback(() => {
-    if (!currentPhotoRef.current || !photoBufferRef.current) {
-      return;
-    }
-
-    try {
-      const photoInfo = currentPhotoRef.current;
-      const blob = new Blob(photoBufferRef.current, { type: photoInfo.mimeType });
-      const url = URL.createObjectURL(blob);
-
-      setPhotoData(prev => ({
-        ...prev,
-        [photoInfo.id]: url
-      }));
-
-      addLog(`Photo ${photoInfo.id} ready for display`);
-
-      // Cleanup
-      currentPhotoRef.current = null;
-      photoBufferRef.current = null;
-    } catch (err) {
-      addLog(`Error finishing photo download: ${err.message}`, 'error');
-    }
-  }, [addLog]);
-
-  /**
-   * Handle data from peer
-   */
-  const handlePeerData = useCallback((data) => {
-    try {
-      // Try to parse as JSON
-      const message = JSON.parse(data.toString());
-
-      switch (message.type) {
-        case 'manifest':
-          addLog(`Received manifest: ${message.photos.length} photos`);
-          // Transform photos to match Gallery component expectations
-          const transformedPhotos = message.photos.map(photo => ({
-            id: photo.id,
-            filename: photo.filename || photo.name,
-            thumbnail: null, // Will be loaded on demand
-            url: null, // Will be loaded on demand
-            size: photo.size,
-            width: photo.width,
-            height: photo.height,
-            modified: photo.modified,
-            created: photo.created,
-            rootPath: photo.rootPath,
-            folderPath: photo.folderPath
-          }));
-          setPhotos(transformedPhotos);
-          break;
-
-        case 'folder-structure':
-          addLog(`Received folder structure: ${message.folders.length} root folders`);
-          setFolders(message.folders);
-          break;
-
-        case 'folder-photos':
-          addLog(`Received folder photos: ${message.photos.length}/${message.totalCount} photos in folder ${message.folderId} (offset: ${message.offset})`);
-          const transformedFolderPhotos = message.photos.map(photo => ({
-            id: photo.id,
-            filename: photo.filename,
-            thumbnail: null,
-            url: null,
-            size: photo.size,
-            width: photo.width,
-            height: photo.height,
-            modified: photo.modified,
-            rootPath: photo.rootPath,
-            folderPath: photo.folderPath
-          }));
-
-          // If offset is 0, replace photos; otherwise append
-          if (message.offset === 0) {
-            setPhotos(transformedFolderPhotos);
-          } else {
-            setPhotos(prev => [...prev, ...transformedFolderPhotos]);
-          }
-
-          setTotalPhotoCount(message.totalCount || message.photos.length);
-          setHasMorePhotos(message.hasMore || false);
-          break;
-
-        case 'photo-start':
-          addLog(`Starting photo download: ${message.photoId} (${message.size} bytes)`);
-          currentPhotoRef.current = {
-            id: message.photoId,
-            name: message.name,
-            size: message.size,
-            mimeType: message.mimeType
-          };
-          photoBufferRef.current = [];
-          break;
-
-        case 'photo-complete':
-          addLog(`Photo download complete: ${message.photoId}`);
-          finishPhotoDownload();
-          break;
-
-        case 'ping':
-          // Respond to P2P ping from desktop
-          const peer = peerRef.current;
-          if (peer && peer.connected && !peer.destroyed) {
-            try {
-              peer.send(JSON.stringify({ type: 'pong', timestamp: message.timestamp }));
-            } catch (err) {
-              console.error('[PWA] Error sending P2P pong:', err.message);
-            }
-          }
-          break;
-
-        case 'pong':
-          // P2P pong received - calculate latency
-          const latency = Date.now() - message.timestamp;
-          console.log(`[PWA] Received P2P pong - Latency: ${latency}ms`);
-          if (latency > 1000) {
-            addLog(`High P2P latency: ${latency}ms`, 'warn');
-          }
-          break;
-
-        case 'error':
-          addLog(`Error: ${message.error}`, 'error');
-          setError(message.error);
-          break;
-
-        default:
-          addLog(`Unknown message type: ${message.type}`, 'warn');
-      }
-    } catch (e) {
-      // Binary data (photo chunk)
-      if (currentPhotoRef.current) {
-        photoBufferRef.current.push(data);
-      }
-    }
-  }, [addLog, finishPhotoDownload]);
-
   /**
    * Send message to peer
+   * Messages are queued while the channel's send buffer is full; only a queue
+   * that has hit its cap refuses them, and lost requests are retried on timeout
    */
   const sendToPeer = useCallback((message) => {
     const peer = peerRef.current;
-    if (peer && peer.connected && !peer.destroyed) {
-      try {
-        peer.send(JSON.stringify(message));
-      } catch (err) {
-        console.error('[PWA] Error sending message to peer:', err.message);
-        // Don't throw - let the caller handle the lack of response
+    const sender = controlSenderRef.current;
+    if (peer && peer.connected && !peer.destroyed && sender) {
+      if (!sender.send(encodeControlMessage(message))) {
+        console.warn(`[PWA] Control channel queue full - could not send ${message.type}`);
       }
     } else {
       console.warn('[PWA] Cannot send message - peer not ready:', {
@@ -387,121 +798,1688 @@ export const usePhotoSyncWebRTC = () => {
   }, []);
 
   /**
-   * Request photo manifest
+   * Send a folder/manifest request that is retried until its response arrives
+   * @param {string} key - Identifies the response that resolves this request
+   * @param {Object} message - Control message to send
+   * @param {string} label - Description for logs and errors
+   * @param {Function} [onGiveUp] - Called instead of reporting an error once retries run out
    */
-  const requestManifest = useCallback(() => {
-    addLog('Requesting photo manifest');
-    sendToPeer({ type: 'request-manifest' });
-  }, [sendToPeer, addLog]);
+  const sendTrackedRequest = useCallback((key, message, label, onGiveUp) => {
+    pendingRequestsRef.current.set(key, {
+      key,
+      message,
+      label,
+      onGiveUp,
+      attempt: 1,
+      sentAt: Date.now(),
+      retryAt: null
+    });
+    sendToPeer(message);
+  }, [sendToPeer]);
 
   /**
-   * Request folder structure
+   * Mark a tracked request as answered
    */
-  const requestFolders = useCallback(() => {
-    addLog('Requesting folder structure');
-    sendToPeer({ type: 'request-folders' });
-  }, [sendToPeer, addLog]);
+  const resolveTrackedRequest = useCallback((key) => {
+    pendingRequestsRef.current.delete(key);
+  }, []);
 
   /**
-   * Request photos in a specific folder
+   * Resolve or reject a pending video-info or byte range request
+   * @param {number} requestId
+   * @param {Error|null} err - Rejects the request when set
+   * @param {*} [result] - Resolved value; byte ranges resolve with their bytes
    */
-  const requestFolderPhotos = useCallback((folderId, recursive = false, offset = 0, limit = 200) => {
-    if (folderId === 'all') {
-      // When viewing "all", clear photos and just show folders
-      addLog('Navigating to all folders view');
-      setCurrentFolderId('all');
-      setPhotos([]);
-      setTotalPhotoCount(0);
-      setHasMorePhotos(false);
+  const settleStreamRequest = useCallback((requestId, err, result) => {
+    const request = streamRequestsRef.current.get(requestId);
+    if (!request) {
       return;
     }
+    streamRequestsRef.current.delete(requestId);
 
-    addLog(`Requesting photos for folder: ${folderId} (offset: ${offset}, limit: ${limit})`);
-    sendToPeer({
-      type: 'request-folder-photos',
-      folderId,
-      recursive,
-      offset,
-      limit
+    if (err) {
+      request.reject(err);
+      return;
+    }
+    if (request.kind !== 'range') {
+      request.resolve(result);
+      return;
+    }
+
+    const received = request.chunks.reduce((total, chunk) => total + chunk.byteLength, 0);
+    if (received !== request.length) {
+      request.reject(new Error(`Range returned ${received} of ${request.length} bytes`));
+      return;
+    }
+    const bytes = new Uint8Array(received);
+    let offset = 0;
+    request.chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
     });
-    setCurrentFolderId(folderId);
-  }, [sendToPeer, addLog]);
+    request.resolve(bytes);
+  }, []);
 
   /**
-   * Load more photos for the current folder
+   * Reject every pending video request, e.g. when the connection they were sent on is gone
    */
-  const loadMorePhotos = useCallback((limit = 200) => {
-    if (!hasMorePhotos || currentFolderId === 'all') {
+  const failStreamRequests = useCallback((reason) => {
+    Array.from(streamRequestsRef.current.keys())
+      .forEach(requestId => settleStreamRequest(requestId, new Error(reason)));
+  }, [settleStreamRequest]);
+
+  /**
+   * Finish the running throughput benchmark
+   * @param {number} requestId
+   * @param {Error|null} err - Rejects the benchmark when set
+   * @param {number} [expectedBytes] - Bytes the desktop says it sent
+   */
+  const settleBenchmark = useCallback((requestId, err, expectedBytes) => {
+    const benchmark = benchmarkRef.current;
+    if (!benchmark || benchmark.requestId !== requestId) {
       return;
     }
+    benchmarkRef.current = null;
 
-    const currentOffset = photos.length;
-    addLog(`Loading more photos for folder: ${currentFolderId} (offset: ${currentOffset})`);
-    sendToPeer({
-      type: 'request-folder-photos',
-      folderId: currentFolderId,
-      recursive: false,
-      offset: currentOffset,
-      limit
+    if (err) {
+      benchmark.reject(err);
+      return;
+    }
+    const summary = benchmark.meter.summarize();
+    const expected = expectedBytes ?? benchmark.size;
+    if (summary.bytes !== expected) {
+      benchmark.reject(new Error(`Benchmark received ${summary.bytes} of ${expected} bytes`));
+      return;
+    }
+    benchmark.resolve({
+      timestamp: new Date(benchmark.requestedAt).toISOString(),
+      size: benchmark.size,
+      network: benchmark.network,
+      ...summary
     });
-  }, [sendToPeer, addLog, hasMorePhotos, currentFolderId, photos.length]);
+  }, []);
 
   /**
-   * Request specific photo
+   * Allocate a request ID and send a request-photo for it
    */
-  const requestPhoto = useCallback((photoId, quality = 60, maxDimension = 1920) => {
-    addLog(`Requesting photo: ${photoId}`);
-    sendToPeer({
-      type: 'request-photo',
+  const startPhotoTransfer = useCallback(({ key, photoId, modified, tier, pinFolderId = null, sink = null, attempt = 1 }) => {
+    const requestId = nextRequestIdRef.current++;
+    const transfer = {
+      requestId,
+      key,
       photoId,
-      quality,
-      maxDimension
-    });
+      modified, // Part of the cache key once the photo arrives
+      tier,
+      pinFolderId, // Set for downloads that fill a pinned folder
+      sink, // Set for originals streamed to disk
+      hasher: sink ? createIncrementalDigest() : null,
+      acceptFormats: acceptFormatsRef.current, // Kept for retries so a resume gets the same encoding
+      attempt,
+      retries: 0, // Timeout retries, separate from integrity attempts
+      requestedAt: Date.now(), // Cleared by photo-start once its response time is recorded
+      lastActivity: Date.now(),
+      retryAt: null,
+      chunks: null, // Allocated on photo-start
+      receivedBytes: 0
+    };
+    transfersRef.current.set(requestId, transfer);
+
+    addLog(`Requesting ${sink ? 'original' : 'photo'}: ${photoId} ${tier} (request ${requestId}${attempt > 1 ? `, attempt ${attempt}` : ''})`);
+    sendToPeer(buildTransferRequest(requestId, transfer));
+    return requestId;
   }, [sendToPeer, addLog]);
 
   /**
-   * Request multiple photos (batch)
+   * Dispatch queued photo requests while the scheduler has free slots
+   * Pauses while the control channel is backed up, leaving the rest in the
+   * scheduler (where priorities can still change) until the channel drains
    */
-  const requestPhotos = useCallback((photoIds) => {
-    addLog(`Requesting ${photoIds.length} photos`);
-    photoIds.forEach(id => requestPhoto(id));
-  }, [requestPhoto, addLog]);
+  const pumpTransferQueue = useCallback(() => {
+    const sender = controlSenderRef.current;
+    while (schedulerRef.current.queuedCount > 0) {
+      if (sender && !sender.hasRoom) {
+        if (!pumpWaitingRef.current) {
+          pumpWaitingRef.current = true;
+          sender.waitForRoom().then(() => {
+            pumpWaitingRef.current = false;
+            pumpTransferQueueRef.current();
+          });
+        }
+        return;
+      }
+      const next = schedulerRef.current.takeNext();
+      if (!next) {
+        return;
+      }
+      startPhotoTransfer({ key: next.key, ...next.job });
+    }
+  }, [startPhotoTransfer]);
+
+  pumpTransferQueueRef.current = pumpTransferQueue;
 
   /**
-   * Stop heartbeat timer
+   * Release a transfer's scheduler slot and start the next queued request
    */
-  const stopHeartbeat = useCallback(() => {
-    if (heartbeatIntervalRef.current) {
-      clearInterval(heartbeatIntervalRef.current);
-      heartbeatIntervalRef.current = null;
-    }
+  const settleTransfer = useCallback((transfer) => {
+    progressRef.current.completed += 1;
+    progressRef.current.completedBytes += transfer.receivedBytes;
+    schedulerRef.current.markDone(transfer.key);
+    pumpTransferQueue();
+    scheduleProgressUpdate();
+  }, [pumpTransferQueue, scheduleProgressUpdate]);
+
+  /**
+   * Merge changes into a pinned folder's status
+   */
+  const updatePinnedFolder = useCallback((folderId, changes) => {
+    setPinnedFolders(prev => (prev[folderId] ? {
+      ...prev,
+      [folderId]: { ...prev[folderId], ...changes }
+    } : prev));
   }, []);
 
   /**
-   * Start heartbeat to keep signaling connection alive
+   * Merge changes into an original download's status
    */
-  const startHeartbeat = useCallback(() => {
-    // Clear any existing heartbeat
-    if (heartbeatIntervalRef.current) {
-      clearInterval(heartbeatIntervalRef.current);
-      heartbeatIntervalRef.current = null;
+  const updateOriginalDownload = useCallback((photoId, changes) => {
+    setOriginalDownloads(prev => ({
+      ...prev,
+      [photoId]: { ...prev[photoId], ...changes }
+    }));
+  }, []);
+
+  /**
+   * Count a finished pin download and mark the folder synced after the last one
+   */
+  const advancePinSync = useCallback((folderId, key, succeeded) => {
+    const sync = pinSyncRef.current.get(folderId);
+    if (!sync || !sync.pending.delete(key)) {
+      return;
+    }
+    if (succeeded) {
+      sync.completed += 1;
+    } else {
+      sync.failed += 1;
     }
 
-    addLog('Starting heartbeat (30s interval)');
+    if (sync.pending.size > 0) {
+      updatePinnedFolder(folderId, { completed: sync.completed, failed: sync.failed });
+      return;
+    }
 
-    // Send ping every 30 seconds
-    heartbeatIntervalRef.current = setInterval(() => {
-      if (signalingSocketRef.current?.connected) {
-        console.log('[PWA] Sending heartbeat ping to signaling server');
-        signalingSocketRef.current.emit('ping');
-      } else {
-        addLog('Heartbeat skipped - not connected', 'warn');
-      }
-    }, 30000);
+    pinSyncRef.current.delete(folderId);
+    addLog(`Pinned folder ${folderId} synced (${sync.completed}/${sync.total} renditions${sync.failed > 0 ? `, ${sync.failed} failed` : ''})`, sync.failed > 0 ? 'warn' : 'info');
+    updatePinnedFolder(folderId, {
+      status: sync.failed > 0 ? 'error' : 'pinned',
+      completed: sync.completed,
+      failed: sync.failed,
+      syncedAt: Date.now()
+    });
+  }, [addLog, updatePinnedFolder]);
 
-    // Send first ping immediately
-    if (signalingSocketRef.current?.connected) {
-      console.log('[PWA] Sending initial heartbeat ping');
+  /**
+   * Give up on a transfer and put its photo into the error state
+   */
+  const failTransfer = useCallback((transfer, reason) => {
+    transfersRef.current.delete(transfer.requestId);
+    if (transfer.sink) {
+      // Originals never took a scheduler slot - drop the partial file and report the save
+      transfer.sink.abort();
+      updateOriginalDownload(transfer.photoId, { status: 'error', error: reason });
+      scheduleProgressUpdate();
+      return;
+    }
+    if (transfer.pinFolderId) {
+      // Background pin downloads report through the folder's pin status, not the grid
+      advancePinSync(transfer.pinFolderId, transfer.key, false);
+      settleTransfer(transfer);
+      return;
+    }
+    setPhotoErrors(prev => ({
+      ...prev,
+      [transfer.photoId]: {
+        reason,
+        tier: transfer.tier
+      }
+    }));
+    settleTransfer(transfer);
+  }, [settleTransfer, advancePinSync, updateOriginalDownload, scheduleProgressUpdate]);
+
+  /**
+   * Re-send a lost photo request under a new request ID, keeping received bytes
+   */
+  const retryTransfer = useCallback((transfer) => {
+    // Tell the desktop to drop the old request in case it is merely slow
+    sendToPeer({ type: 'cancel-photo', requestId: transfer.requestId, photoId: transfer.photoId });
+    transfersRef.current.delete(transfer.requestId);
+
+    const requestId = nextRequestIdRef.current++;
+    const retried = {
+      ...transfer,
+      requestId,
+      retries: transfer.retries + 1,
+      requestedAt: Date.now(),
+      lastActivity: Date.now(),
+      retryAt: null
+    };
+    transfersRef.current.set(requestId, retried);
+
+    const message = buildTransferRequest(requestId, retried);
+    if (retried.chunks && retried.receivedBytes > 0) {
+      message.resumeOffset = retried.receivedBytes;
+    }
+
+    addLog(`Retrying photo ${transfer.photoId} as request ${requestId} (retry ${retried.retries}/${MAX_REQUEST_ATTEMPTS - 1})`);
+    sendToPeer(message);
+  }, [sendToPeer, addLog]);
+
+  /**
+   * Stop an original whose file sink can't keep up with the network, and
+   * continue it from the bytes received once the sink has written them
+   * Chunks still in flight for the cancelled request are dropped
+   */
+  const pauseForSink = useCallback((transfer) => {
+    sendToPeer({ type: 'cancel-photo', requestId: transfer.requestId, photoId: transfer.photoId });
+    transfer.paused = true;
+    addLog(`Disk is behind on original ${transfer.photoId} - pausing at byte ${transfer.receivedBytes}`, 'warn');
+
+    transfer.sink.drained().then(() => {
+      if (transfersRef.current.get(transfer.requestId) !== transfer) {
+        // Cancelled or failed while paused
+        return;
+      }
+      if (transfer.sink.failure) {
+        // drained() also resolves for a sink that gave up - the rest of the file has nowhere to go
+        addLog(`Could not save original ${transfer.photoId}: ${transfer.sink.failure.message}`, 'error');
+        failTransfer(transfer, transfer.sink.failure.message);
+        return;
+      }
+      transfersRef.current.delete(transfer.requestId);
+
+      const requestId = nextRequestIdRef.current++;
+      const resumed = {
+        ...transfer,
+        requestId,
+        paused: false,
+        requestedAt: Date.now(),
+        lastActivity: Date.now()
+      };
+      transfersRef.current.set(requestId, resumed);
+
+      addLog(`Disk caught up - resuming original ${transfer.photoId} at byte ${transfer.receivedBytes} (request ${requestId})`);
+      sendToPeer({ ...buildTransferRequest(requestId, resumed), resumeOffset: resumed.receivedBytes });
+    });
+  }, [sendToPeer, addLog, failTransfer]);
+
+  /**
+   * Time out unanswered requests, retry them with backoff, and fail them
+   * once they run out of attempts
+   */
+  const checkRequestDeadlines = useCallback(() => {
+    const peer = peerRef.current;
+    const now = Date.now();
+
+    // Nothing can be answered while the channel is down - resume handles it on reconnect
+    if (!peer || !peer.connected || peer.destroyed || reconnectRef.current?.isActive()) {
+      return;
+    }
+
+    Array.from(transfersRef.current.values()).forEach(transfer => {
+      if (transfer.paused) {
+        // Waiting for its file sink, not for the desktop
+        return;
+      }
+      if (transfer.retryAt) {
+        if (now >= transfer.retryAt) {
+          retryTransfer(transfer);
+        }
+        return;
+      }
+      if (now - transfer.lastActivity < REQUEST_TIMEOUT) {
+        return;
+      }
+
+      if (transfer.retries + 1 >= MAX_REQUEST_ATTEMPTS) {
+        addLog(`Photo ${transfer.photoId} timed out after ${MAX_REQUEST_ATTEMPTS} attempts`, 'error');
+        sendToPeer({ type: 'cancel-photo', requestId: transfer.requestId, photoId: transfer.photoId });
+        failTransfer(transfer, 'Timed out');
+        return;
+      }
+
+      const delay = RETRY_BASE_DELAY * 2 ** transfer.retries;
+      addLog(`Photo ${transfer.photoId} timed out (request ${transfer.requestId}) - retrying in ${delay}ms`, 'warn');
+      transfer.retryAt = now + delay;
+    });
+
+    // Video requests aren't retried here - the player requests a failed segment again
+    Array.from(streamRequestsRef.current.entries())
+      .filter(([, request]) => now - request.lastActivity >= REQUEST_TIMEOUT)
+      .forEach(([requestId, request]) => {
+        addLog(`Video ${request.kind} request ${requestId} for ${request.videoId} timed out`, 'warn');
+        settleStreamRequest(requestId, new Error('Timed out'));
+      });
+
+    const benchmark = benchmarkRef.current;
+    if (benchmark && now - benchmark.lastActivity >= REQUEST_TIMEOUT) {
+      addLog(`Benchmark ${benchmark.requestId} timed out after ${benchmark.meter.bytes} bytes`, 'warn');
+      sendToPeer({ type: 'cancel-benchmark', requestId: benchmark.requestId });
+      settleBenchmark(benchmark.requestId, new Error('Timed out'));
+    }
+
+    Array.from(pendingRequestsRef.current.values()).forEach(request => {
+      if (request.retryAt) {
+        if (now >= request.retryAt) {
+          request.attempt += 1;
+          request.sentAt = now;
+          request.retryAt = null;
+          addLog(`Retrying ${request.label} (attempt ${request.attempt}/${MAX_REQUEST_ATTEMPTS})`);
+          sendToPeer(request.message);
+        }
+        return;
+      }
+      if (now - request.sentAt < REQUEST_TIMEOUT) {
+        return;
+      }
+
+      if (request.attempt >= MAX_REQUEST_ATTEMPTS) {
+        pendingRequestsRef.current.delete(request.key);
+        addLog(`Desktop did not respond to ${request.label} after ${request.attempt} attempts`, 'error');
+        if (request.onGiveUp) {
+          request.onGiveUp();
+        } else {
+          setError(`Desktop did not respond to ${request.label}`);
+        }
+        return;
+      }
+
+      const delay = RETRY_BASE_DELAY * 2 ** (request.attempt - 1);
+      addLog(`${request.label} timed out - retrying in ${delay}ms`, 'warn');
+      request.retryAt = now + delay;
+    });
+  }, [addLog, sendToPeer, retryTransfer, failTransfer, settleStreamRequest, settleBenchmark]);
+
+  /**
+   * Restart the clock on every outstanding request, e.g. after an ICE restart
+   * kept the channel open but nothing could arrive while it ran
+   */
+  const extendRequestDeadlines = useCallback(() => {
+    const now = Date.now();
+    transfersRef.current.forEach(transfer => {
+      transfer.lastActivity = now;
+    });
+    streamRequestsRef.current.forEach(request => {
+      request.lastActivity = now;
+    });
+    if (benchmarkRef.current) {
+      benchmarkRef.current.lastActivity = now;
+    }
+    pendingRequestsRef.current.forEach(request => {
+      if (!request.retryAt) {
+        request.sentAt = now;
+      }
+    });
+  }, []);
+
+  /**
+   * Show a received or cached photo and clear its error state
+   * @param {string} photoId
+   * @param {string} tier - Tier the blob was rendered at
+   * @param {Blob} blob
+   */
+  const publishPhoto = useCallback((photoId, tier, blob) => {
+    const url = blobUrlStoreRef.current.set(blobUrlKey(photoId, tier), blob, { photoId, tier });
+    evictedPhotosRef.current.get(photoId)?.delete(tier);
+
+    setPhotoData(prev => ({
+      ...prev,
+      [photoId]: { ...prev[photoId], [tier]: url }
+    }));
+    setPhotoErrors(prev => {
+      if (!prev[photoId]) return prev;
+      const { [photoId]: _resolved, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  /**
+   * Verify an original streamed to a file sink and commit it to disk
+   * A corrupt file is re-requested into the same sink, which starts over
+   */
+  const finishOriginalDownload = useCallback(async (transfer, digest, digestAlgorithm) => {
+    const { photoId, sink } = transfer;
+    try {
+      const check = digest ? transfer.hasher.verify(digest, digestAlgorithm) : null;
+      if (check && !check.valid) {
+        addLog(`Digest mismatch for original ${photoId} (request ${transfer.requestId}, attempt ${transfer.attempt}): expected ${digest}, got ${check.actual}`, 'error');
+
+        if (transfer.attempt < MAX_INTEGRITY_ATTEMPTS) {
+          startPhotoTransfer({
+            key: transfer.key,
+            photoId,
+            tier: transfer.tier,
+            sink,
+            attempt: transfer.attempt + 1
+          });
+          return;
+        }
+
+        addLog(`Giving up on original ${photoId} after ${transfer.attempt} corrupt transfers`, 'error');
+        failTransfer(transfer, 'Corrupt transfer');
+        return;
+      }
+      if (!check) {
+        addLog(`No usable digest for original ${photoId} (request ${transfer.requestId}) - skipping verification`, 'warn');
+      }
+
+      await sink.close(transfer.mimeType);
+      addLog(`Original ${photoId} saved (${transfer.receivedBytes} bytes, ${sink.method})`);
+      updateOriginalDownload(photoId, { status: 'saved', error: null });
+    } catch (err) {
+      addLog(`Could not save original ${photoId}: ${err.message}`, 'error');
+      failTransfer(transfer, err.message);
+      return;
+    }
+    scheduleProgressUpdate();
+  }, [addLog, startPhotoTransfer, failTransfer, updateOriginalDownload, scheduleProgressUpdate]);
+
+  /**
+   * Finish photo download, verify its digest, cache it and create blob URL
+   */
+  const finishPhotoDownload = useCallback(async (requestId, digest, digestAlgorithm) => {
+    const transfer = transfersRef.current.get(requestId);
+    if (!transfer || !transfer.chunks) {
+      addLog(`Photo complete for unknown request ${requestId}`, 'warn');
+      return;
+    }
+    if (transfer.paused) {
+      // Chunks after the pause were dropped - the resumed request completes it
+      return;
+    }
+
+    // Remove immediately so late chunks for this request are ignored while hashing
+    transfersRef.current.delete(requestId);
+
+    if (transfer.sink) {
+      finishOriginalDownload(transfer, digest, digestAlgorithm);
+      return;
+    }
+
+    try {
+      const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+
+      const check = digest ? await verifyDigest(blob, digest, digestAlgorithm) : null;
+      if (check) {
+        if (!check.valid) {
+          addLog(`Digest mismatch for photo ${transfer.photoId} (request ${requestId}, attempt ${transfer.attempt}): expected ${digest}, got ${check.actual}`, 'error');
+
+          if (transfer.attempt < MAX_INTEGRITY_ATTEMPTS) {
+            // Retry keeps the scheduler slot of the failed attempt
+            startPhotoTransfer({
+              key: transfer.key,
+              photoId: transfer.photoId,
+              modified: transfer.modified,
+              pinFolderId: transfer.pinFolderId,
+              tier: transfer.tier,
+              attempt: transfer.attempt + 1
+            });
+            return;
+          }
+
+          addLog(`Giving up on photo ${transfer.photoId} after ${transfer.attempt} corrupt transfers`, 'error');
+          failTransfer(transfer, 'Corrupt transfer');
+          return;
+        }
+      } else if (digest) {
+        addLog(`Unsupported digest algorithm ${digestAlgorithm} for photo ${transfer.photoId} (request ${requestId}) - skipping verification`, 'warn');
+      } else {
+        addLog(`No digest for photo ${transfer.photoId} (request ${requestId}) - skipping verification`, 'warn');
+      }
+
+      if (transfer.pinFolderId) {
+        const stored = await photoCacheRef.current.putPhoto(transfer.photoId, transfer.modified, transfer.tier, blob, transfer.pinFolderId);
+        advancePinSync(transfer.pinFolderId, transfer.key, stored);
+        settleTransfer(transfer);
+        return;
+      }
+
+      publishPhoto(transfer.photoId, transfer.tier, blob);
+      photoCacheRef.current.putPhoto(transfer.photoId, transfer.modified, transfer.tier, blob);
+
+      addLog(`Photo ${transfer.photoId} ${transfer.tier} ready for display (request ${requestId})`);
+    } catch (err) {
+      addLog(`Error finishing photo download: ${err.message}`, 'error');
+      failTransfer(transfer, err.message);
+      return;
+    }
+    settleTransfer(transfer);
+  }, [addLog, startPhotoTransfer, settleTransfer, failTransfer, publishPhoto, advancePinSync, finishOriginalDownload]);
+
+  /**
+   * Append a CHUNK frame to the transfer it belongs to
+   */
+  const handlePhotoChunk = useCallback(({ requestId, sequence, payload }) => {
+    const benchmark = benchmarkRef.current;
+    if (benchmark && benchmark.requestId === requestId) {
+      const now = Date.now();
+      benchmark.meter.record(payload.byteLength, now);
+      benchmark.lastActivity = now;
+      if (benchmark.onProgress && now - benchmark.reportedAt >= BENCHMARK_PROGRESS_INTERVAL) {
+        benchmark.reportedAt = now;
+        benchmark.onProgress(benchmark.meter.bytes);
+      }
+      return;
+    }
+
+    const streamRequest = streamRequestsRef.current.get(requestId);
+    if (streamRequest) {
+      // Video bytes aren't photo sync progress - counting them would skew its rate and ETA
+      streamRequest.chunks.push(payload);
+      streamRequest.lastActivity = Date.now();
+      return;
+    }
+
+    const transfer = transfersRef.current.get(requestId);
+
+    if (!transfer || !transfer.chunks || transfer.paused) {
+      // Transfer was never started, has already finished, or is waiting for its sink - nothing to do
+      return;
+    }
+
+    if (sequence !== transfer.nextSequence) {
+      addLog(`Out-of-order chunk for request ${requestId}: expected ${transfer.nextSequence}, got ${sequence}`, 'warn');
+    }
+
+    if (transfer.sink) {
+      transfer.sink.write(payload);
+      transfer.hasher.update(payload);
+    } else {
+      transfer.chunks.push(payload);
+    }
+    transfer.receivedBytes += payload.byteLength;
+    transfer.nextSequence = sequence + 1;
+    transfer.lastActivity = Date.now();
+
+    progressRef.current.bytesReceived += payload.byteLength;
+    scheduleProgressUpdate();
+
+    if (transfer.sink?.failure) {
+      // No point receiving the rest of a file that can't be saved
+      addLog(`Could not save original ${transfer.photoId}: ${transfer.sink.failure.message}`, 'error');
+      sendToPeer({ type: 'cancel-photo', requestId: transfer.requestId, photoId: transfer.photoId });
+      failTransfer(transfer, transfer.sink.failure.message);
+    } else if (transfer.sink?.backedUp) {
+      pauseForSink(transfer);
+    }
+  }, [addLog, scheduleProgressUpdate, pauseForSink, sendToPeer, failTransfer]);
+
+  /**
+   * Send a video request whose answer is delivered through a promise
+   */
+  const sendStreamRequest = useCallback((kind, message, length = 0) => new Promise((resolve, reject) => {
+    const requestId = nextRequestIdRef.current++;
+    streamRequestsRef.current.set(requestId, {
+      kind,
+      videoId: message.videoId,
+      length,
+      chunks: [],
+      lastActivity: Date.now(),
+      resolve,
+      reject
+    });
+    sendToPeer({ ...message, requestId });
+  }), [sendToPeer]);
+
+  /**
+   * Ask the desktop how a video is streamed
+   * @param {string} videoId
+   * @returns {Promise<Object>} { mimeType, size, duration, init: {offset, length}, segments: [{time, offset, length}] }
+   */
+  const requestVideoInfo = useCallback((videoId) => {
+    if (!supportsFeature(peerCapabilities, 'video')) {
+      return Promise.reject(new Error('Desktop cannot stream videos'));
+    }
+    addLog(`Requesting video info: ${videoId}`);
+    return sendStreamRequest('info', { type: 'request-video-info', videoId });
+  }, [peerCapabilities, addLog, sendStreamRequest]);
+
+  /**
+   * Fetch a byte range of a video's streamable rendition
+   * @param {string} videoId
+   * @param {number} offset
+   * @param {number} length
+   * @returns {Promise<Uint8Array>}
+   */
+  const fetchVideoRange = useCallback((videoId, offset, length) => (
+    sendStreamRequest('range', { type: 'request-range', videoId, offset, length }, length)
+  ), [sendStreamRequest]);
+
+  /**
+   * Abandon a video's pending requests (player closed)
+   */
+  const cancelVideoRequests = useCallback((videoId) => {
+    Array.from(streamRequestsRef.current.entries())
+      .filter(([, request]) => request.videoId === videoId)
+      .forEach(([requestId, request]) => {
+        if (request.kind === 'range') {
+          sendToPeer({ type: 'cancel-range', requestId, videoId });
+        }
+        settleStreamRequest(requestId, new Error('Cancelled'));
+      });
+  }, [sendToPeer, settleStreamRequest]);
+
+  /**
+   * Request folder structure
+   */
+  const requestFolders = useCallback(() => {
+    addLog('Requesting folder structure');
+    sendTrackedRequest('folders', { type: 'request-folders' }, 'folder structure request');
+  }, [sendTrackedRequest, addLog]);
+
+  /**
+   * Re-request transfers interrupted by a dropped P2P channel, resuming
+   * from the number of bytes already received
+   */
+  const resumePendingTransfers = useCallback(() => {
+    // Transfers paused for their file sink are requested again once the sink drains
+    const pending = Array.from(transfersRef.current.values()).filter(transfer => !transfer.paused);
+    if (pending.length === 0) {
+      return;
+    }
+
+    addLog(`Resuming ${pending.length} interrupted photo transfer(s)`);
+    pending.forEach(transfer => {
+      const message = buildTransferRequest(transfer.requestId, transfer);
+      if (transfer.chunks && transfer.receivedBytes > 0) {
+        message.resumeOffset = transfer.receivedBytes;
+      }
+      transfer.requestedAt = Date.now();
+      transfer.lastActivity = Date.now();
+      transfer.retryAt = null;
+      sendToPeer(message);
+    });
+  }, [sendToPeer, addLog]);
+
+  /**
+   * Queue downloads for every rendition of a pinned folder missing from the cache
+   * @param {string} folderId
+   * @param {string} tier - Key of PIN_TIERS
+   * @param {Array} photos - Complete folder listing
+   */
+  const completePinListing = useCallback(async (folderId, tier, photos) => {
+    if (!pinnedFoldersRef.current[folderId]) {
+      // Unpinned while the listing was coming in
+      return;
+    }
+
+    // The complete listing replaces the first-page listing cached for browsing
+    photoCacheRef.current.putListing(`folder-photos:${folderId}`, {
+      photos,
+      totalCount: photos.length,
+      hasMore: false
+    });
+
+    const photoTiers = [PHOTO_TIERS.THUMB, (PIN_TIERS[tier] || PIN_TIERS.standard).tier];
+    const entries = photos.flatMap(photo => photoTiers.map(photoTier => ({
+      photoId: photo.id,
+      modified: photo.modified,
+      tier: photoTier
+    })));
+    const missing = await photoCacheRef.current.syncPins(folderId, entries);
+    if (!pinnedFoldersRef.current[folderId]) {
+      return;
+    }
+
+    const sync = {
+      tier,
+      pending: new Set(),
+      total: entries.length,
+      completed: entries.length - missing.length,
+      failed: 0
+    };
+    addLog(`Pinned folder ${folderId}: ${photos.length} photos, ${missing.length}/${entries.length} renditions to download`);
+
+    if (missing.length === 0) {
+      pinSyncRef.current.delete(folderId);
+      updatePinnedFolder(folderId, {
+        status: 'pinned',
+        total: sync.total,
+        completed: sync.completed,
+        failed: 0,
+        syncedAt: Date.now()
+      });
+      return;
+    }
+
+    pinSyncRef.current.set(folderId, sync);
+    const scheduler = schedulerRef.current;
+    missing.forEach(({ photoId, modified, tier: photoTier }) => {
+      const key = pinTransferKey(photoId, photoTier);
+      sync.pending.add(key);
+      scheduler.enqueue(key, { photoId, modified, tier: photoTier, pinFolderId: folderId }, TRANSFER_PRIORITY.PREFETCH);
+    });
+    updatePinnedFolder(folderId, {
+      status: 'syncing',
+      total: sync.total,
+      completed: sync.completed,
+      failed: 0
+    });
+    pumpTransferQueue();
+    scheduleProgressUpdate();
+  }, [addLog, updatePinnedFolder, pumpTransferQueue, scheduleProgressUpdate]);
+
+  /**
+   * Request one page of a pinned folder's complete listing
+   */
+  const requestPinListingPage = useCallback((requestId, folderId, offset) => {
+    sendTrackedRequest(`pin-listing:${requestId}:${offset}`, {
+      type: 'request-folder-photos',
+      requestId,
+      folderId,
+      recursive: false,
+      offset,
+      limit: PIN_LISTING_PAGE_SIZE
+    }, `offline listing for folder ${folderId}`, () => {
+      pinListingsRef.current.delete(requestId);
+      updatePinnedFolder(folderId, { status: 'error' });
+    });
+  }, [sendTrackedRequest, updatePinnedFolder]);
+
+  /**
+   * Re-list a pinned folder and download whatever the cache is missing
+   */
+  const syncPinnedFolder = useCallback((folderId, tier) => {
+    const peer = peerRef.current;
+    if (!peer || !peer.connected || peer.destroyed) {
+      // Picked up by the next hello
+      return;
+    }
+    if (!supportsFeature(peerCapabilitiesRef.current, 'listingRequestIds')) {
+      // Its pin listing could not be told apart from the folder on screen
+      addLog(`Desktop cannot sync pinned folder ${folderId} - update the desktop app`, 'warn');
+      updatePinnedFolder(folderId, { status: 'error' });
+      return;
+    }
+    const alreadyListing = Array.from(pinListingsRef.current.values()).some(listing => listing.folderId === folderId);
+    if (alreadyListing) {
+      return;
+    }
+
+    const requestId = nextRequestIdRef.current++;
+    pinListingsRef.current.set(requestId, { folderId, tier, photos: [] });
+    addLog(`Syncing pinned folder ${folderId}`);
+    updatePinnedFolder(folderId, { status: 'syncing' });
+    requestPinListingPage(requestId, folderId, 0);
+  }, [addLog, updatePinnedFolder, requestPinListingPage]);
+
+  /**
+   * Collect a page of a pin listing; the last page starts the downloads
+   */
+  const handlePinListing = useCallback((message) => {
+    const listing = pinListingsRef.current.get(message.requestId);
+    resolveTrackedRequest(`pin-listing:${message.requestId}:${message.offset || 0}`);
+
+    listing.photos.push(...message.photos.map(photo => ({
+      id: photo.id,
+      filename: photo.filename,
+      thumbnail: null,
+      url: null,
+      size: photo.size,
+      width: photo.width,
+      height: photo.height,
+      modified: photo.modified,
+      created: photo.created,
+      rootPath: photo.rootPath,
+      folderPath: photo.folderPath,
+      mediaType: photo.mediaType || MEDIA_TYPES.IMAGE,
+      duration: photo.duration ?? null
+    })));
+
+    if (message.hasMore) {
+      requestPinListingPage(message.requestId, listing.folderId, listing.photos.length);
+      return;
+    }
+
+    pinListingsRef.current.delete(message.requestId);
+    completePinListing(listing.folderId, listing.tier, listing.photos);
+  }, [resolveTrackedRequest, requestPinListingPage, completePinListing]);
+
+  /**
+   * Keep TURN servers with short-lived credentials for the next peer connection
+   * Servers from the desktop are applied to the live connection too, for ICE restarts
+   * @param {string} issuer - 'signaling' or 'desktop'
+   * @param {Array} servers - RTCIceServers, optionally with `ttl` or `expiresAt`
+   */
+  const acceptIssuedIceServers = useCallback((issuer, servers) => {
+    let issued;
+    try {
+      issued = normalizeIssuedIceServers(servers);
+    } catch (err) {
+      addLog(`Ignoring ICE servers from ${issuer}: ${err.message}`, 'warn');
+      return;
+    }
+    issuedIceServersRef.current = { ...issuedIceServersRef.current, [issuer]: issued };
+    addLog(`Received ${issued.length} ICE server(s) from ${issuer}`);
+
+    const pc = peerRef.current?._pc;
+    if (issuer !== 'desktop' || !pc || pc.signalingState === 'closed') {
+      return;
+    }
+    // Fresh credentials replace any older ones for the same URLs
+    const current = pc.getConfiguration();
+    const issuedUrls = new Set(issued.flatMap(server => server.urls));
+    const iceServers = [
+      ...current.iceServers.filter(server => ![].concat(server.urls).some(url => issuedUrls.has(url))),
+      ...issued.map(({ expiresAt, ...server }) => server)
+    ];
+    try {
+      pc.setConfiguration({ ...current, iceServers });
+      setIceConfig(prev => (prev ? { ...prev, iceServers } : prev));
+    } catch (err) {
+      addLog(`Could not apply desktop ICE servers: ${err.message}`, 'warn');
+    }
+  }, [addLog]);
+
+  /**
+   * Start the capability handshake on a freshly opened data channel
+   */
+  const sendHello = useCallback(() => {
+    setPeerCapabilities(null);
+    peerCapabilitiesRef.current = null;
+
+    const { maxMessageSize, maxChunkSize } = getNegotiatedChunkSize(peerRef.current?._pc);
+    localChunkSizeRef.current = maxChunkSize;
+
+    addLog(`Sending hello (protocol v${PROTOCOL_VERSION}, app ${APP_VERSION}, SCTP max message ${maxMessageSize ?? 'unknown'}, max chunk ${maxChunkSize})`);
+    sendToPeer({
+      type: 'hello',
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PEER_PROTOCOL_VERSION,
+      appVersion: APP_VERSION,
+      maxMessageSize,
+      maxChunkSize,
+      features: { ...CLIENT_FEATURES, formats: localFormatsRef.current }
+    });
+
+    if (helloTimeoutRef.current) {
+      clearTimeout(helloTimeoutRef.current);
+    }
+    helloTimeoutRef.current = setTimeout(() => {
+      helloTimeoutRef.current = null;
+      addLog(`Desktop did not answer hello within ${HELLO_TIMEOUT}ms - assuming it predates the handshake`, 'error');
+      setError('Desktop app too old - update PhotoSync on your computer to connect');
+      setConnectionState('incompatible');
+    }, HELLO_TIMEOUT);
+  }, [sendToPeer, addLog]);
+
+  /**
+   * Complete the handshake with the desktop's hello
+   */
+  const handlePeerHello = useCallback((message) => {
+    if (helloTimeoutRef.current) {
+      clearTimeout(helloTimeoutRef.current);
+      helloTimeoutRef.current = null;
+    }
+
+    const capabilities = {
+      protocolVersion: message.protocolVersion || 0,
+      appVersion: message.appVersion || 'unknown',
+      maxChunkSize: message.maxChunkSize || null,
+      features: message.features || {}
+    };
+    // Both sides must accept the chunks, so the smaller limit wins
+    capabilities.chunkSize = Math.min(localChunkSizeRef.current, capabilities.maxChunkSize || Infinity);
+    capabilities.imageFormats = negotiateImageFormats(localFormatsRef.current, capabilities.features.formats);
+    acceptFormatsRef.current = capabilities.imageFormats;
+    addLog(`Desktop hello: protocol v${capabilities.protocolVersion}, app ${capabilities.appVersion}, chunk size ${capabilities.chunkSize}, features ${JSON.stringify(capabilities.features)}`);
+
+    if (capabilities.protocolVersion < MIN_PEER_PROTOCOL_VERSION) {
+      addLog(`Desktop protocol v${capabilities.protocolVersion} is older than required v${MIN_PEER_PROTOCOL_VERSION}`, 'error');
+      setError(`Desktop app too old (protocol v${capabilities.protocolVersion}, need v${MIN_PEER_PROTOCOL_VERSION}) - update PhotoSync on your computer`);
+      setConnectionState('incompatible');
+      return;
+    }
+    if (message.minProtocolVersion && PROTOCOL_VERSION < message.minProtocolVersion) {
+      addLog(`Desktop requires protocol v${message.minProtocolVersion}, we speak v${PROTOCOL_VERSION}`, 'error');
+      setError('This app is too old for your desktop - reload to update PhotoSync');
+      setConnectionState('incompatible');
+      return;
+    }
+
+    setPeerCapabilities(capabilities);
+    peerCapabilitiesRef.current = capabilities;
+
+    if (Array.isArray(message.iceServers)) {
+      acceptIssuedIceServers('desktop', message.iceServers);
+    }
+
+    // Open bulk channels before any photo is requested so no chunk arrives on an unopened stream
+    closeBulkChannels(bulkChannelsRef.current);
+    bulkChannelsRef.current = [];
+    const bulkIds = negotiateBulkChannelIds(capabilities.features.bulkChannels);
+    if (bulkIds.length > 0 && peerRef.current?._pc) {
+      bulkChannelsRef.current = openBulkChannels(peerRef.current._pc, bulkIds, {
+        onMessage: (data) => handlePeerDataRef.current(data),
+        onClose: (id) => addLog(`Bulk channel ${id} closed`, 'warn')
+      });
+      addLog(`Opened ${bulkIds.length} bulk data channel(s): ${bulkIds.join(', ')}`);
+    } else {
+      addLog('Desktop has no bulk channels - photos share the control channel');
+    }
+
+    setConnectionState('connected');
+    const attempts = reconnectRef.current?.succeeded();
+    if (attempts) {
+      addLog(`Reconnected with a fresh connection after ${attempts} attempt(s)`);
+      setReconnectStatus(null);
+    }
+
+    // Request folder structure first
+    requestFolders();
+
+    // Pick up any photo transfers the previous connection dropped
+    resumePendingTransfers();
+
+    // The new desktop session doesn't know video requests from the old one - the player asks again
+    failStreamRequests('Connection lost');
+    if (benchmarkRef.current) {
+      settleBenchmark(benchmarkRef.current.requestId, new Error('Connection lost'));
+    }
+
+    // A folder shown from the cache (or left open by a dropped connection) gets a fresh listing,
+    // covering every page already loaded so the gallery keeps its scroll position
+    const folderId = requestedFolderRef.current;
+    if (folderId && folderId !== 'all') {
+      const limit = Math.max(FOLDER_PAGE_SIZE, photosRef.current.length);
+      addLog(`Refreshing photo list for folder: ${folderId} (limit: ${limit})`);
+      sendTrackedRequest(`folder-photos:${folderId}:0`, {
+        type: 'request-folder-photos',
+        folderId,
+        recursive: false,
+        offset: 0,
+        limit
+      }, `photo list request for folder ${folderId}`);
+    }
+
+    // Bring pinned folders up to date with whatever changed while we were away
+    Object.entries(pinnedFoldersRef.current).forEach(([pinnedId, pin]) => {
+      syncPinnedFolder(pinnedId, pin.tier);
+    });
+
+    // Don't request manifest automatically - let user navigate folders
+    // requestManifest();
+  }, [addLog, requestFolders, resumePendingTransfers, sendTrackedRequest, syncPinnedFolder, failStreamRequests, settleBenchmark, acceptIssuedIceServers]);
+
+  /**
+   * Handle a decoded control message from peer
+   */
+  const handleControlMessage = useCallback((message) => {
+    switch (message.type) {
+      case 'manifest':
+        addLog(`Received manifest: ${message.photos.length} photos`);
+        resolveTrackedRequest('manifest');
+        // Transform photos to match Gallery component expectations
+        const transformedPhotos = message.photos.map(photo => ({
+          id: photo.id,
+          filename: photo.filename || photo.name,
+          thumbnail: null, // Will be loaded on demand
+          url: null, // Will be loaded on demand
+          size: photo.size,
+          width: photo.width,
+          height: photo.height,
+          modified: photo.modified,
+          created: photo.created,
+          rootPath: photo.rootPath,
+          folderPath: photo.folderPath,
+          mediaType: photo.mediaType || MEDIA_TYPES.IMAGE,
+          duration: photo.duration ?? null // Seconds, videos only
+        }));
+        setPhotos(transformedPhotos);
+        break;
+
+      case 'folder-structure':
+        addLog(`Received folder structure: ${message.folders.length} root folders`);
+        resolveTrackedRequest('folders');
+        setFolders(message.folders);
+        photoCacheRef.current.putListing('folders', message.folders);
+        break;
+
+      case 'folder-photos':
+        if (message.requestId && pinListingsRef.current.has(message.requestId)) {
+          handlePinListing(message);
+          break;
+        }
+        if (message.folderId !== requestedFolderRef.current) {
+          // A pin listing without its requestId, or the answer for a folder the user has left
+          addLog(`Ignoring photo list for folder ${message.folderId} - not the folder on screen`, 'warn');
+          resolveTrackedRequest(`folder-photos:${message.folderId}:${message.offset || 0}`);
+          break;
+        }
+        addLog(`Received folder photos: ${message.photos.length}/${message.totalCount} photos in folder ${message.folderId} (offset: ${message.offset})`);
+        resolveTrackedRequest(`folder-photos:${message.folderId}:${message.offset || 0}`);
+        const transformedFolderPhotos = message.photos.map(photo => ({
+          id: photo.id,
+          filename: photo.filename,
+          thumbnail: null,
+          url: null,
+          size: photo.size,
+          width: photo.width,
+          height: photo.height,
+          modified: photo.modified,
+          created: photo.created,
+          rootPath: photo.rootPath,
+          folderPath: photo.folderPath,
+          mediaType: photo.mediaType || MEDIA_TYPES.IMAGE,
+          duration: photo.duration ?? null // Seconds, videos only
+        }));
+
+        // If offset is 0, replace photos; otherwise append
+        if (message.offset === 0) {
+          liveListingFolderRef.current = message.folderId;
+          setPhotos(transformedFolderPhotos);
+          const pin = pinnedFoldersRef.current[message.folderId];
+          if (pin) {
+            // Pinned folders keep their complete listing - re-sync it instead
+            if (!pinSyncRef.current.has(message.folderId)) {
+              syncPinnedFolder(message.folderId, pin.tier);
+            }
+          } else {
+            // Only the first page is cached - enough to fill the screen offline
+            photoCacheRef.current.putListing(`folder-photos:${message.folderId}`, {
+              photos: transformedFolderPhotos,
+              totalCount: message.totalCount || message.photos.length,
+              hasMore: message.hasMore || false
+            });
+          }
+          photoCacheRef.current.putListing('last-folder', message.folderId);
+        } else {
+          setPhotos(prev => [...prev, ...transformedFolderPhotos]);
+        }
+
+        setTotalPhotoCount(message.totalCount || message.photos.length);
+        setHasMorePhotos(message.hasMore || false);
+        break;
+
+      case 'metadata':
+        addLog(`Received metadata for photo ${message.photoId}`);
+        resolveTrackedRequest(`metadata:${message.photoId}`);
+        setPhotoMetadata(prev => ({ ...prev, [message.photoId]: message.metadata || {} }));
+        break;
+
+      case 'folder-changed': {
+        addLog(`Desktop reports changes in folder ${message.folderId}`);
+        const pin = pinnedFoldersRef.current[message.folderId];
+        if (pin) {
+          syncPinnedFolder(message.folderId, pin.tier);
+        }
+        break;
+      }
+
+      case 'photo-start': {
+        const transfer = transfersRef.current.get(message.requestId);
+        if (!transfer) {
+          addLog(`Ignoring photo-start for unknown request ${message.requestId}`, 'warn');
+          break;
+        }
+        if (transfer.requestedAt) {
+          responseTimesRef.current = [...responseTimesRef.current, Date.now() - transfer.requestedAt]
+            .slice(-RESPONSE_TIME_SAMPLES);
+          transfer.requestedAt = null;
+        }
+        const offset = message.offset || 0;
+        const format = message.format || message.mimeType;
+        // Bytes of a different encoding can't be continued
+        const resuming = offset > 0 && transfer.chunks && offset === transfer.receivedBytes &&
+          (!transfer.mimeType || format === transfer.mimeType);
+
+        if (offset > 0 && !resuming) {
+          // Desktop resumed from a position we don't have - start over from byte 0
+          addLog(`Resume mismatch for request ${message.requestId}: have ${transfer.receivedBytes} bytes of ${transfer.mimeType}, desktop sent ${format} from ${offset}`, 'warn');
+          transfer.chunks = null;
+          transfer.receivedBytes = 0;
+          transfer.requestedAt = Date.now();
+          sendToPeer(buildTransferRequest(transfer.requestId, transfer));
+          break;
+        }
+
+        if (transfer.sink?.method === SINK_METHODS.DOWNLOAD && message.size > MAX_IN_MEMORY_SIZE) {
+          // Refuse now instead of buffering 256 MB only to fail anyway
+          sendToPeer({ type: 'cancel-photo', requestId: transfer.requestId, photoId: transfer.photoId });
+          failTransfer(transfer, `File is ${Math.round(message.size / (1024 * 1024))} MB - too large to save in this browser`);
+          break;
+        }
+
+        if (resuming) {
+          addLog(`Resuming photo download: ${message.photoId} at byte ${offset}/${message.size} (request ${message.requestId})`);
+        } else {
+          addLog(`Starting photo download: ${message.photoId} (${message.size} bytes${format ? `, ${format}` : ''}, request ${message.requestId})`);
+          transfer.chunks = []; // Stays empty for originals - their bytes go to the sink
+          transfer.receivedBytes = 0;
+          if (transfer.sink) {
+            transfer.sink.reset();
+            transfer.hasher = createIncrementalDigest();
+          }
+        }
+        transfer.name = message.name;
+        transfer.size = message.size;
+        transfer.mimeType = format;
+        transfer.nextSequence = 0; // Sequence numbers restart with every photo-start
+        transfer.lastActivity = Date.now();
+        scheduleProgressUpdate();
+        break;
+      }
+
+      case 'video-info':
+        addLog(`Received video info: ${message.videoId} (${message.mimeType}, ${message.duration}s, ${message.segments?.length || 0} segments)`);
+        settleStreamRequest(message.requestId, null, message);
+        break;
+
+      case 'range-complete':
+        settleStreamRequest(message.requestId, null);
+        break;
+
+      case 'benchmark-complete':
+        settleBenchmark(message.requestId, null, message.bytes);
+        break;
+
+      case 'photo-complete':
+        addLog(`Photo download complete: ${message.photoId} (request ${message.requestId})`);
+        finishPhotoDownload(message.requestId, message.digest, message.digestAlgorithm);
+        break;
+
+      case 'hello':
+        handlePeerHello(message);
+        break;
+
+      case 'ping':
+        // Respond to P2P ping from desktop
+        sendToPeer({ type: 'pong', timestamp: message.timestamp });
+        break;
+
+      case 'pong':
+        // P2P pong received - calculate latency
+        const latency = Date.now() - message.timestamp;
+        console.log(`[PWA] Received P2P pong - Latency: ${latency}ms`);
+        if (latency > 1000) {
+          addLog(`High P2P latency: ${latency}ms`, 'warn');
+        }
+        break;
+
+      case 'error':
+        addLog(`Error: ${message.error}`, 'error');
+        if (message.requestId !== undefined) {
+          // Request-scoped error - only that transfer fails
+          settleStreamRequest(message.requestId, new Error(message.error));
+          settleBenchmark(message.requestId, new Error(message.error));
+          const failedTransfer = transfersRef.current.get(message.requestId);
+          if (failedTransfer && !failedTransfer.paused) {
+            failTransfer(failedTransfer, message.error);
+          }
+        } else {
+          setError(message.error);
+        }
+        break;
+
+      default:
+        addLog(`Unknown message type: ${message.type}`, 'warn');
+    }
+  }, [addLog, finishPhotoDownload, sendToPeer, failTransfer, resolveTrackedRequest, scheduleProgressUpdate, handlePeerHello, handlePinListing, syncPinnedFolder, settleStreamRequest, settleBenchmark]);
+
+  /**
+   * Handle data from peer
+   */
+  const handlePeerData = useCallback((data) => {
+    let frame;
+    try {
+      frame = decodeFrame(data);
+    } catch (err) {
+      addLog(`Dropping malformed frame: ${err.message}`, 'warn');
+      return;
+    }
+
+    switch (frame.type) {
+      case FRAME_TYPES.CONTROL: {
+        let message;
+        try {
+          message = decodeControlPayload(frame.payload);
+        } catch (err) {
+          addLog(`Invalid control message: ${err.message}`, 'warn');
+          return;
+        }
+        handleControlMessage(message);
+        break;
+      }
+
+      case FRAME_TYPES.CHUNK:
+        handlePhotoChunk(frame);
+        break;
+
+      default:
+        addLog(`Unknown frame type: ${frame.type}`, 'warn');
+    }
+  }, [addLog, handleControlMessage, handlePhotoChunk]);
+
+  handlePeerDataRef.current = handlePeerData;
+
+  /**
+   * Request photo manifest
+   */
+  const requestManifest = useCallback(() => {
+    addLog('Requesting photo manifest');
+    sendTrackedRequest('manifest', { type: 'request-manifest' }, 'photo manifest request');
+  }, [sendTrackedRequest, addLog]);
+
+  /**
+   * Show a folder's cached listing until the desktop sends a live one
+   */
+  const loadCachedFolderPhotos = useCallback(async (folderId) => {
+    const listing = await photoCacheRef.current.getListing(`folder-photos:${folderId}`);
+    if (!listing || requestedFolderRef.current !== folderId || liveListingFolderRef.current === folderId) {
+      return;
+    }
+    addLog(`Showing ${listing.photos.length} cached photos for folder ${folderId}`);
+    setPhotos(listing.photos);
+    setTotalPhotoCount(listing.totalCount);
+    setHasMorePhotos(listing.hasMore);
+  }, [addLog]);
+
+  /**
+   * Request photos in a specific folder
+   */
+  const requestFolderPhotos = useCallback((folderId, recursive = false, offset = 0, limit = FOLDER_PAGE_SIZE) => {
+    requestedFolderRef.current = folderId;
+    if (folderId === 'all') {
+      // When viewing "all", clear photos and just show folders
+      addLog('Navigating to all folders view');
+      setCurrentFolderId('all');
+      setPhotos([]);
+      setTotalPhotoCount(0);
+      setHasMorePhotos(false);
+      return;
+    }
+
+    addLog(`Requesting photos for folder: ${folderId} (offset: ${offset}, limit: ${limit})`);
+    sendTrackedRequest(`folder-photos:${folderId}:${offset}`, {
+      type: 'request-folder-photos',
+      folderId,
+      recursive,
+      offset,
+      limit
+    }, `photo list request for folder ${folderId}`);
+    setCurrentFolderId(folderId);
+
+    if (offset === 0) {
+      liveListingFolderRef.current = null;
+      loadCachedFolderPhotos(folderId);
+    }
+  }, [sendTrackedRequest, addLog, loadCachedFolderPhotos]);
+
+  /**
+   * Load more photos for the current folder
+   */
+  const loadMorePhotos = useCallback((limit = FOLDER_PAGE_SIZE) => {
+    if (!hasMorePhotos || currentFolderId === 'all') {
+      return;
+    }
+
+    const currentOffset = photos.length;
+    addLog(`Loading more photos for folder: ${currentFolderId} (offset: ${currentOffset})`);
+    sendTrackedRequest(`folder-photos:${currentFolderId}:${currentOffset}`, {
+      type: 'request-folder-photos',
+      folderId: currentFolderId,
+      recursive: false,
+      offset: currentOffset,
+      limit
+    }, `photo list request for folder ${currentFolderId}`);
+  }, [sendTrackedRequest, addLog, hasMorePhotos, currentFolderId, photos.length]);
+
+  /**
+   * Request a photo at a quality tier
+   * Served from the photo cache when possible; otherwise queued by priority,
+   * with identical queued requests merged
+   * @param {string} photoId
+   * @param {string} [tier=PHOTO_TIERS.MEDIUM] - One of PHOTO_TIERS
+   * @param {number} [priority=TRANSFER_PRIORITY.PREFETCH]
+   */
+  const requestPhoto = useCallback((photoId, tier = PHOTO_TIERS.MEDIUM, priority = TRANSFER_PRIORITY.PREFETCH) => {
+    if (!TIER_RENDITIONS[tier]) {
+      addLog(`Unknown photo tier "${tier}" requested for ${photoId}`, 'warn');
+      return;
+    }
+    if (blobUrlStoreRef.current.has(blobUrlKey(photoId, tier))) {
+      // Already displayed at this tier
+      return;
+    }
+
+    const key = transferKey(photoId, tier);
+    const lookups = cacheLookupsRef.current;
+    if (lookups.has(key)) {
+      lookups.set(key, Math.min(lookups.get(key), priority));
+      return;
+    }
+
+    const modified = photoIndexRef.current.get(photoId)?.modified;
+    lookups.set(key, priority);
+
+    photoCacheRef.current.getPhoto(photoId, modified, tier).then(blob => {
+      if (!lookups.has(key)) {
+        // Cancelled while the cache was being read
+        return;
+      }
+      const queuedPriority = lookups.get(key);
+      lookups.delete(key);
+
+      if (blob) {
+        addLog(`Photo ${photoId} ${tier} served from cache`);
+        publishPhoto(photoId, tier, blob);
+        return;
+      }
+
+      const scheduler = schedulerRef.current;
+      if (scheduler.queuedCount === 0 && scheduler.inFlightCount === 0) {
+        // Queue was idle - progress counts start over with this request
+        resetProgress();
+      }
+
+      scheduler.enqueue(key, { photoId, modified, tier }, queuedPriority);
+      pumpTransferQueue();
+      scheduleProgressUpdate();
+    });
+  }, [addLog, publishPhoto, pumpTransferQueue, resetProgress, scheduleProgressUpdate]);
+
+  /**
+   * Change the priority of queued grid-tier requests for a photo (e.g. scrolled into view)
+   * Viewer requests keep their priority
+   */
+  const setPhotoPriority = useCallback((photoId, priority) => {
+    const keys = GRID_TIERS.map(tier => transferKey(photoId, tier));
+    const lookups = cacheLookupsRef.current;
+    keys
+      .filter(key => lookups.has(key))
+      .forEach(key => lookups.set(key, priority));
+    keys.forEach(key => schedulerRef.current.setPriority(key, priority));
+  }, []);
+
+  /**
+   * Report that a photo was shown or hidden (grid tile scrolled, viewer opened)
+   * Displayed photos keep their URLs; one evicted earlier is loaded again
+   * @param {string} photoId
+   * @param {boolean} visible
+   * @param {string} [source='grid'] - 'grid' or 'viewer'
+   */
+  const setPhotoVisible = useCallback((photoId, visible, source = 'grid') => {
+    // A grid tile only ever shows small tiers - the viewer keeps all of them
+    const tiers = source === 'viewer' ? Object.values(PHOTO_TIERS) : GRID_TIERS;
+    tiers.forEach(tier => blobUrlStoreRef.current.setVisible(blobUrlKey(photoId, tier), visible, source));
+
+    const evicted = evictedPhotosRef.current.get(photoId);
+    if (!visible || !evicted) {
+      return;
+    }
+    const priority = source === 'viewer' ? TRANSFER_PRIORITY.VIEWER : TRANSFER_PRIORITY.VISIBLE;
+    tiers.filter(tier => evicted.has(tier)).forEach(tier => {
+      evicted.delete(tier);
+      requestPhoto(photoId, tier, priority);
+    });
+  }, [requestPhoto]);
+
+  /**
+   * Ask the desktop for a photo's EXIF metadata
+   * Metadata that already arrived is not requested again
+   * @param {string} photoId
+   */
+  const requestMetadata = useCallback((photoId) => {
+    const existing = photoMetadataRef.current[photoId];
+    if ((existing && !existing.error) || pendingRequestsRef.current.has(`metadata:${photoId}`)) {
+      return;
+    }
+    if (!supportsFeature(peerCapabilities, 'metadata')) {
+      addLog('Desktop cannot send photo metadata - update PhotoSync on your computer', 'warn');
+      setPhotoMetadata(prev => ({ ...prev, [photoId]: { error: 'Not supported by desktop' } }));
+      return;
+    }
+
+    addLog(`Requesting metadata for photo ${photoId}`);
+    sendTrackedRequest(`metadata:${photoId}`, { type: 'request-metadata', photoId }, `metadata request for photo ${photoId}`, () => {
+      setPhotoMetadata(prev => ({ ...prev, [photoId]: { error: 'Desktop did not respond' } }));
+    });
+  }, [peerCapabilities, addLog, sendTrackedRequest]);
+
+  /**
+   * Request multiple photos (batch)
+   */
+  const requestPhotos = useCallback((photoIds) => {
+    addLog(`Requesting ${photoIds.length} photos`);
+    photoIds.forEach(id => requestPhoto(id));
+  }, [requestPhoto, addLog]);
+
+  /**
+   * Clear a photo's error state and request it again
+   */
+  const retryPhoto = useCallback((photoId) => {
+    const failure = photoErrors[photoId];
+    setPhotoErrors(prev => {
+      const { [photoId]: _retried, ...rest } = prev;
+      return rest;
+    });
+    if (failure) {
+      requestPhoto(photoId, failure.tier, TRANSFER_PRIORITY.VISIBLE);
+    }
+  }, [photoErrors, requestPhoto]);
+
+  /**
+   * Cancel queued and in-flight requests for a photo
+   * Pass a tier to cancel only that tier
+   */
+  const cancelPhoto = useCallback((photoId, tier) => {
+    const scheduler = schedulerRef.current;
+    const matchesKey = tier !== undefined
+      ? (key) => key === transferKey(photoId, tier)
+      : (key) => key.startsWith(`${photoId}:`);
+
+    Array.from(cacheLookupsRef.current.keys())
+      .filter(matchesKey)
+      .forEach(key => cacheLookupsRef.current.delete(key));
+
+    const dequeued = scheduler.queuedKeys().filter(matchesKey);
+    dequeued.forEach(key => scheduler.remove(key));
+
+    const cancelled = Array.from(transfersRef.current.values()).filter(transfer => matchesKey(transfer.key));
+    cancelled.forEach(transfer => {
+      sendToPeer({ type: 'cancel-photo', requestId: transfer.requestId, photoId });
+      transfersRef.current.delete(transfer.requestId);
+      scheduler.markDone(transfer.key);
+    });
+
+    if (dequeued.length > 0 || cancelled.length > 0) {
+      addLog(`Cancelled photo ${photoId} (${dequeued.length} queued, ${cancelled.length} in flight)`);
+      pumpTransferQueue();
+      scheduleProgressUpdate();
+    }
+  }, [sendToPeer, addLog, pumpTransferQueue, scheduleProgressUpdate]);
+
+  /**
+   * Cancel every queued and in-flight photo request
+   * Downloads for pinned folders and originals being saved keep running
+   */
+  const cancelAllPhotos = useCallback(() => {
+    cacheLookupsRef.current.clear();
+
+    const scheduler = schedulerRef.current;
+    const queued = scheduler.queuedKeys().filter(key => !key.startsWith(PIN_KEY_PREFIX));
+    const inFlight = Array.from(transfersRef.current.values()).filter(transfer => !transfer.pinFolderId && !transfer.sink);
+    if (queued.length === 0 && inFlight.length === 0) {
+      return;
+    }
+
+    // One cancel-photo per request: `cancel-all` would also end video ranges,
+    // a running benchmark, pin downloads and original saves
+    queued.forEach(key => scheduler.remove(key));
+    inFlight.forEach(transfer => {
+      sendToPeer({ type: 'cancel-photo', requestId: transfer.requestId, photoId: transfer.photoId });
+      transfersRef.current.delete(transfer.requestId);
+      scheduler.markDone(transfer.key);
+    });
+    if (transfersRef.current.size === 0 && scheduler.queuedCount === 0) {
+      resetProgress();
+    } else {
+      pumpTransferQueue();
+    }
+    scheduleProgressUpdate();
+    addLog(`Cancelled all photo requests (${queued.length} queued, ${inFlight.length} in flight)`);
+  }, [sendToPeer, addLog, pumpTransferQueue, resetProgress, scheduleProgressUpdate]);
+
+  /**
+   * Save a photo's original file, streamed to disk as it arrives
+   * Call it straight from a click handler - the save dialog needs the user gesture
+   * @param {Object} photo - Listed photo
+   */
+  const downloadOriginal = useCallback(async (photo) => {
+    if (!supportsFeature(peerCapabilities, 'originals')) {
+      addLog('Desktop cannot send original files - update PhotoSync on your computer', 'warn');
+      return;
+    }
+    const key = originalTransferKey(photo.id);
+    if (Array.from(transfersRef.current.values()).some(transfer => transfer.key === key)) {
+      return;
+    }
+
+    const filename = photo.filename || photo.id;
+    let sink;
+    try {
+      sink = await openFileSink(filename, photo.size);
+    } catch (err) {
+      addLog(`Cannot save original ${photo.id}: ${err.message}`, 'error');
+      setOriginalDownloads(prev => ({
+        ...prev,
+        [photo.id]: { status: 'error', filename, method: null, error: err.message }
+      }));
+      return;
+    }
+    if (!sink) {
+      addLog(`Original download of ${photo.id} cancelled in the save dialog`);
+      return;
+    }
+
+    addLog(`Saving original ${photo.id} as ${filename} (${sink.method})`);
+    setOriginalDownloads(prev => ({
+      ...prev,
+      [photo.id]: { status: 'saving', filename, method: sink.method, error: null }
+    }));
+    startPhotoTransfer({ key, photoId: photo.id, tier: PHOTO_TIERS.ORIGINAL, sink });
+  }, [peerCapabilities, addLog, startPhotoTransfer]);
+
+  /**
+   * Stop saving a photo's original and discard what was written
+   */
+  const cancelOriginalDownload = useCallback((photoId) => {
+    const key = originalTransferKey(photoId);
+    const transfer = Array.from(transfersRef.current.values()).find(candidate => candidate.key === key);
+    if (transfer) {
+      sendToPeer({ type: 'cancel-photo', requestId: transfer.requestId, photoId });
+      transfersRef.current.delete(transfer.requestId);
+      transfer.sink.abort();
+      addLog(`Cancelled original download of ${photoId}`);
+      scheduleProgressUpdate();
+    }
+    setOriginalDownloads(prev => {
+      const { [photoId]: _cancelled, ...rest } = prev;
+      return rest;
+    });
+  }, [sendToPeer, addLog, scheduleProgressUpdate]);
+
+  /**
+   * Make a folder available offline
+   * Downloads every thumbnail plus the chosen full-size tier into durable storage
+   * @param {string} folderId
+   * @param {string} [tier='standard'] - Key of PIN_TIERS
+   */
+  const pinFolder = useCallback(async (folderId, tier = 'standard') => {
+    addLog(`Pinning folder ${folderId} for offline viewing (${tier})`);
+    setPinnedFolders(prev => ({
+      ...prev,
+      [folderId]: { tier, status: 'syncing', total: 0, completed: 0, failed: 0, syncedAt: null }
+    }));
+    // Update the ref now so the listing isn't dropped as "unpinned" before the next render
+    pinnedFoldersRef.current = { ...pinnedFoldersRef.current, [folderId]: { tier } };
+
+    const persisted = await requestPersistentStorage();
+    if (!persisted) {
+      addLog('Browser did not grant persistent storage - pinned photos may be cleared under storage pressure', 'warn');
+    }
+
+    syncPinnedFolder(folderId, tier);
+  }, [addLog, syncPinnedFolder]);
+
+  /**
+   * Stop keeping a folder offline; its photos become normal cache entries
+   */
+  const unpinFolder = useCallback((folderId) => {
+    addLog(`Unpinning folder ${folderId}`);
+    const scheduler = schedulerRef.current;
+
+    const sync = pinSyncRef.current.get(folderId);
+    if (sync) {
+      sync.pending.forEach(key => scheduler.remove(key));
+      pinSyncRef.current.delete(folderId);
+    }
+    Array.from(pinListingsRef.current.entries())
+      .filter(([, listing]) => listing.folderId === folderId)
+      .forEach(([requestId]) => pinListingsRef.current.delete(requestId));
+    Array.from(transfersRef.current.values())
+      .filter(transfer => transfer.pinFolderId === folderId)
+      .forEach(transfer => {
+        sendToPeer({ type: 'cancel-photo', requestId: transfer.requestId, photoId: transfer.photoId });
+        transfersRef.current.delete(transfer.requestId);
+        scheduler.markDone(transfer.key);
+      });
+
+    setPinnedFolders(prev => {
+      const { [folderId]: _unpinned, ...rest } = prev;
+      return rest;
+    });
+    const { [folderId]: _unpinned, ...remainingPins } = pinnedFoldersRef.current;
+    pinnedFoldersRef.current = remainingPins;
+
+    photoCacheRef.current.syncPins(folderId, []);
+    pumpTransferQueue();
+    scheduleProgressUpdate();
+  }, [addLog, sendToPeer, pumpTransferQueue, scheduleProgressUpdate]);
+
+  /**
+   * Stop heartbeat timer
+   */
+  const stopHeartbeat = useCallback(() => {
+    if (heartbeatIntervalRef.current) {
+      clearInterval(heartbeatIntervalRef.current);
+      heartbeatIntervalRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Start heartbeat to keep signaling connection alive
+   */
+  const startHeartbeat = useCallback(() => {
+    // Clear any existing heartbeat
+    if (heartbeatIntervalRef.current) {
+      clearInterval(heartbeatIntervalRef.current);
+      heartbeatIntervalRef.current = null;
+    }
+
+    addLog('Starting heartbeat (30s interval)');
+
+    // Send ping every 30 seconds
+    heartbeatIntervalRef.current = setInterval(() => {
+      if (signalingSocketRef.current?.connected) {
+        console.log('[PWA] Sending heartbeat ping to signaling server');
+        signalingSocketRef.current.emit('ping');
+      } else {
+        addLog('Heartbeat skipped - not connected', 'warn');
+      }
+    }, 30000);
+
+    // Send first ping immediately
+    if (signalingSocketRef.current?.connected) {
+      console.log('[PWA] Sending initial heartbeat ping');
       signalingSocketRef.current.emit('ping');
     }
   }, [addLog]);
@@ -521,13 +2499,13 @@ export const usePhotoSyncWebRTC = () => {
     peerHeartbeatIntervalRef.current = setInterval(() => {
       const peer = peerRef.current;
       if (peer && peer.connected && !peer.destroyed) {
-        console.log('[PWA] Sending P2P heartbeat ping');
-        try {
-          peer.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
-        } catch (err) {
-          console.error('[PWA] Error sending P2P ping:', err.message);
-          // Don't clear interval - peer might recover
+        if (controlSenderRef.current && !controlSenderRef.current.hasRoom) {
+          // A ping behind a backed-up queue measures the queue, not the link - and the channel is clearly alive
+          console.log('[PWA] Control channel busy - skipping P2P heartbeat ping');
+          return;
         }
+        console.log('[PWA] Sending P2P heartbeat ping');
+        sendToPeer({ type: 'ping', timestamp: Date.now() });
       }
     }, 20000);
 
@@ -536,14 +2514,10 @@ export const usePhotoSyncWebRTC = () => {
       const peer = peerRef.current;
       if (peer && peer.connected && !peer.destroyed) {
         console.log('[PWA] Sending initial P2P heartbeat ping');
-        try {
-          peer.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
-        } catch (err) {
-          console.error('[PWA] Error sending initial P2P ping:', err.message);
-        }
+        sendToPeer({ type: 'ping', timestamp: Date.now() });
       }
     }, 100); // Small delay to ensure connection is stable
-  }, [addLog]);
+  }, [addLog, sendToPeer]);
 
   /**
    * Stop P2P heartbeat
@@ -556,31 +2530,124 @@ export const usePhotoSyncWebRTC = () => {
   }, []);
 
   /**
-   * Cleanup connections
+   * Tear down the P2P connection, keeping the signaling socket
+   * Transfers stay registered so a new connection can resume them
    */
-  const cleanup = useCallback(() => {
-    console.log('[PWA] Cleanup called - destroying connections');
-    stopHeartbeat();
+  const closePeer = useCallback(() => {
     stopPeerHeartbeat();
 
+    if (helloTimeoutRef.current) {
+      clearTimeout(helloTimeoutRef.current);
+      helloTimeoutRef.current = null;
+    }
+
+    if (iceGraceTimerRef.current) {
+      clearTimeout(iceGraceTimerRef.current);
+      iceGraceTimerRef.current = null;
+    }
+
+    closeBulkChannels(bulkChannelsRef.current);
+    bulkChannelsRef.current = [];
+
+    if (controlSenderRef.current) {
+      controlSenderRef.current.close();
+      controlSenderRef.current = null;
+    }
+
     if (peerRef.current) {
       peerRef.current.destroy();
       peerRef.current = null;
     }
+  }, [stopPeerHeartbeat]);
+
+  /**
+   * Current statistics of the P2P connection, for diagnostics
+   * @returns {Promise<Object|null>} Raw sample from lib/peerStats plus `desktopResponseTime`
+   *   (median ms from photo request to photo-start), or null without a live connection
+   */
+  const getConnectionStats = useCallback(async () => {
+    const pc = peerRef.current?._pc;
+    if (!pc || pc.connectionState === 'closed') {
+      return null;
+    }
+    const stats = readPeerStats(await pc.getStats());
+    if (!stats) {
+      return null;
+    }
+    const times = [...responseTimesRef.current].sort((a, b) => a - b);
+    return {
+      ...stats,
+      desktopResponseTime: times.length > 0 ? times[Math.floor(times.length / 2)] : null
+    };
+  }, []);
+
+  /**
+   * Ask the desktop to stream synthetic data and measure how it arrives
+   * @param {number} size - Bytes to transfer
+   * @param {Function} [onProgress] - (bytesReceived) a few times a second
+   * @returns {Promise<Object>} { timestamp, size, network, bytes, chunks, ttfb, duration, throughput, jitter }
+   */
+  const runBenchmark = useCallback((size, onProgress) => {
+    if (!supportsFeature(peerCapabilities, 'benchmark')) {
+      return Promise.reject(new Error('Desktop cannot run speed tests'));
+    }
+    if (benchmarkRef.current) {
+      return Promise.reject(new Error('A speed test is already running'));
+    }
+    return new Promise((resolve, reject) => {
+      const requestId = nextRequestIdRef.current++;
+      const requestedAt = Date.now();
+      benchmarkRef.current = {
+        requestId,
+        size,
+        requestedAt,
+        network: getNetworkInfo(),
+        meter: createThroughputMeter(requestedAt),
+        lastActivity: requestedAt,
+        reportedAt: requestedAt,
+        onProgress,
+        resolve,
+        reject
+      };
+      addLog(`Starting ${size} byte benchmark (request ${requestId})`);
+      sendToPeer({ type: 'request-benchmark', requestId, size });
+    });
+  }, [peerCapabilities, addLog, sendToPeer]);
+
+  // Optional features of the connected desktop, as flags for the UI
+  const desktopFeatures = useMemo(() => ({
+    metadata: supportsFeature(peerCapabilities, 'metadata'),
+    video: supportsFeature(peerCapabilities, 'video'),
+    originals: supportsFeature(peerCapabilities, 'originals'),
+    listingRequestIds: supportsFeature(peerCapabilities, 'listingRequestIds'),
+    benchmark: supportsFeature(peerCapabilities, 'benchmark')
+  }), [peerCapabilities]);
+
+  /**
+   * Cleanup connections
+   */
+  const cleanup = useCallback(() => {
+    console.log('[PWA] Cleanup called - destroying connections');
+    stopHeartbeat();
+
+    if (reconnectRef.current) {
+      reconnectRef.current.stop();
+      reconnectRef.current = null;
+    }
+    setReconnectStatus(null);
+
+    if (progressTimerRef.current) {
+      clearTimeout(progressTimerRef.current);
+      progressTimerRef.current = null;
+    }
+
+    closePeer();
 
     if (signalingSocketRef.current) {
       signalingSocketRef.current.disconnect();
       signalingSocketRef.current = null;
     }
-
-    // Clean up blob URLs - use ref to get current photoData without dependency
-    const currentPhotoData = photoDataRef.current || {};
-    Object.values(currentPhotoData).forEach(url => {
-      if (typeof url === 'string' && url.startsWith('blob:')) {
-        URL.revokeObjectURL(url);
-      }
-    });
-  }, [stopHeartbeat, stopPeerHeartbeat]);
+  }, [stopHeartbeat, closePeer]);
 
   /**
    * Disconnect
@@ -588,15 +2655,119 @@ export const usePhotoSyncWebRTC = () => {
   const disconnect = useCallback(() => {
     addLog('Disconnecting...');
     cleanup();
+
+    // Drop partially received transfers - they are only kept for resuming after unexpected drops
+    Array.from(transfersRef.current.values())
+      .filter(transfer => transfer.sink)
+      .forEach(transfer => failTransfer(transfer, 'Disconnected'));
+    transfersRef.current.clear();
+    failStreamRequests('Disconnected');
+    if (benchmarkRef.current) {
+      settleBenchmark(benchmarkRef.current.requestId, new Error('Disconnected'));
+    }
+    pendingRequestsRef.current.clear();
+    cacheLookupsRef.current.clear();
+    pinSyncRef.current.clear();
+    pinListingsRef.current.clear();
+    schedulerRef.current.clear();
+    issuedIceServersRef.current = { signaling: [], desktop: [] };
+    resetProgress();
+    flushProgress();
     setConnectionState('disconnected');
-  }, [addLog, cleanup]);
+  }, [addLog, cleanup, resetProgress, flushProgress, failTransfer, failStreamRequests, settleBenchmark]);
+
+  /**
+   * Detect decodable image formats before the first hello goes out
+   */
+  useEffect(() => {
+    detectImageFormats().then(formats => {
+      localFormatsRef.current = formats;
+      addLog(`Browser decodes: ${formats.join(', ')}`);
+    });
+  }, [addLog]);
+
+  /**
+   * Retry a reconnect right away when the device gets a network again
+   */
+  useEffect(() => {
+    const handleOnline = () => {
+      if (reconnectRef.current?.isActive()) {
+        addLog('Network is back - retrying connection now');
+        reconnectRef.current.retryNow();
+      }
+    };
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [addLog]);
+
+  /**
+   * Watch request deadlines
+   */
+  useEffect(() => {
+    const interval = setInterval(checkRequestDeadlines, DEADLINE_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [checkRequestDeadlines]);
+
+  /**
+   * Restore the folder list and last viewed folder from the cache on launch
+   */
+  useEffect(() => {
+    const cache = photoCacheRef.current;
+
+    cache.getListing('folders').then(cachedFolders => {
+      if (cachedFolders) {
+        // A live folder structure may already have arrived - it wins
+        setFolders(prev => (prev.length > 0 ? prev : cachedFolders));
+      }
+    });
+
+    cache.getListing('last-folder').then(folderId => {
+      if (!folderId || requestedFolderRef.current !== null) {
+        return;
+      }
+      requestedFolderRef.current = folderId;
+      setCurrentFolderId(folderId);
+      loadCachedFolderPhotos(folderId);
+    });
+  }, [loadCachedFolderPhotos]);
+
+  /**
+   * Restore pinned folders from the cache, then persist every change
+   */
+  useEffect(() => {
+    photoCacheRef.current.getListing('pinned-folders').then(stored => {
+      pinsLoadedRef.current = true;
+      if (stored) {
+        // Pins made before the cache answered win over stored ones
+        setPinnedFolders(prev => ({ ...stored, ...prev }));
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    if (pinsLoadedRef.current) {
+      photoCacheRef.current.putListing('pinned-folders', pinnedFolders);
+    }
+  }, [pinnedFolders]);
 
   /**
    * Cleanup on unmount
    */
   useEffect(() => {
+    const transfers = transfersRef.current;
     return () => {
       cleanup();
+
+      // Originals being saved can't continue without us - close their files so no staged copy is left behind
+      transfers.forEach(transfer => {
+        if (transfer.sink) {
+          transfer.sink.abort();
+        }
+      });
+      transfers.clear();
+
+      // Blob URLs outlive disconnects so cached photos stay visible offline - release them here
+      blobUrlStoreRef.current.clear();
     };
   }, [cleanup]);
 
@@ -606,14 +2777,29 @@ export const usePhotoSyncWebRTC = () => {
     disconnect,
     connectionState,
     connectionInfo,
+    peerCapabilities,
+    reconnectStatus,
+    iceConfig,
+    getConnectionStats,
+    desktopFeatures,
+    canRunBenchmark: connectionState === 'connected' && desktopFeatures.benchmark,
+    runBenchmark,
     error,
 
     // Photos
     photos,
     photoData,
+    photoErrors,
+    retryPhoto,
     requestManifest,
     requestPhoto,
     requestPhotos,
+    setPhotoPriority,
+    setPhotoVisible,
+    cancelPhoto,
+    cancelAllPhotos,
+    photoMetadata,
+    requestMetadata,
 
     // Folders
     folders,
@@ -623,6 +2809,20 @@ export const usePhotoSyncWebRTC = () => {
     loadMorePhotos,
     totalPhotoCount,
     hasMorePhotos,
+    pinnedFolders,
+    pinFolder,
+    unpinFolder,
+
+    // Videos
+    requestVideoInfo,
+    fetchVideoRange,
+    cancelVideoRequests,
+
+    // Originals
+    canDownloadOriginals: connectionState === 'connected' && desktopFeatures.originals,
+    downloadOriginal,
+    cancelOriginalDownload,
+    originalDownloads,
 
     // Progress
     syncProgress,
@@ -0,0 +1,126 @@
+/**
+ * Blob URL Store
+ * Memory-budgeted owner of the object URLs behind displayed photos
+ *
+ * Every blob URL pins its blob in memory until it is revoked. The store
+ * tracks the encoded size of each URL's blob (one URL per key, e.g. photo
+ * and tier) and, once the total passes the budget, revokes the least
+ * recently displayed URLs. URLs currently on screen (a visible grid tile or
+ * the open viewer) are never revoked. Evicted URLs are reported through
+ * `onEvict` so the owner can drop them from state and load them again when
+ * they come back into view.
+ */
+
+export const DEFAULT_BLOB_URL_BUDGET = 64 * 1024 * 1024; // 64 MB of encoded image data
+
+/**
+ * Create a blob URL store
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes=DEFAULT_BLOB_URL_BUDGET] - Budget for blobs held by live URLs
+ * @param {Function} [options.onEvict] - Called with (key, entry) after a URL is revoked
+ * @returns {Object} Store API
+ */
+export function createBlobUrlStore({ maxBytes = DEFAULT_BLOB_URL_BUDGET, onEvict } = {}) {
+  // key -> { url, size, meta, lastDisplayed }; Map order doubles as LRU order
+  const entries = new Map();
+  const visibleSources = new Map(); // key -> Set of sources displaying it
+  let totalBytes = 0;
+
+  const isVisible = (key) => (visibleSources.get(key)?.size || 0) > 0;
+
+  // Move an entry to the most recently displayed end
+  function touch(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    entry.lastDisplayed = Date.now();
+    entries.set(key, entry);
+  }
+
+  function release(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    URL.revokeObjectURL(entry.url);
+    entries.delete(key);
+    totalBytes -= entry.size;
+    return entry;
+  }
+
+  // `keep` protects a URL that is being handed out right now
+  function evict(keep) {
+    for (const [key] of entries) {
+      if (totalBytes <= maxBytes) break;
+      if (key === keep || isVisible(key)) continue;
+
+      const entry = release(key);
+      if (onEvict) onEvict(key, entry);
+    }
+  }
+
+  return {
+    /**
+     * Create a URL for a blob, replacing (and revoking) the key's previous URL
+     * @param {string} key
+     * @param {Blob} blob
+     * @param {Object} [meta] - Handed back to onEvict, e.g. what to load again
+     * @returns {string} Object URL
+     */
+    set(key, blob, meta) {
+      release(key);
+      const url = URL.createObjectURL(blob);
+      entries.set(key, { url, size: blob.size, meta, lastDisplayed: Date.now() });
+      totalBytes += blob.size;
+      evict(key);
+      return url;
+    },
+
+    /**
+     * Mark a URL as shown or hidden by one display surface
+     * @param {string} key
+     * @param {boolean} visible
+     * @param {string} [source='grid'] - e.g. 'grid' or 'viewer'
+     */
+    setVisible(key, visible, source = 'grid') {
+      let sources = visibleSources.get(key);
+      if (visible) {
+        if (!sources) {
+          sources = new Set();
+          visibleSources.set(key, sources);
+        }
+        sources.add(source);
+      } else if (sources) {
+        sources.delete(source);
+        if (sources.size === 0) visibleSources.delete(key);
+      }
+      touch(key);
+      // Hiding a photo may make room that was blocked by visible entries
+      if (!visible) evict();
+    },
+
+    /**
+     * @param {string} key
+     * @returns {boolean} True if the key has a live URL
+     */
+    has(key) {
+      return entries.has(key);
+    },
+
+    /**
+     * Revoke every URL
+     */
+    clear() {
+      entries.forEach(entry => URL.revokeObjectURL(entry.url));
+      entries.clear();
+      visibleSources.clear();
+      totalBytes = 0;
+    },
+
+    get totalBytes() {
+      return totalBytes;
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Bulk Data Channels
+ * Extra WebRTC data channels that carry photo bytes next to the control channel
+ *
+ * SimplePeer's own data channel stays the control channel (JSON requests,
+ * heartbeat, folder navigation). Photo transfers - `photo-start`, CHUNK
+ * frames and `photo-complete`, in that order - travel on bulk channels so
+ * large downloads never delay control traffic.
+ *
+ * Bulk channels are pre-negotiated (`negotiated: true` with fixed stream
+ * IDs) so neither side has to handle `datachannel` events, which SimplePeer
+ * would otherwise claim for itself. Both peers advertise the IDs they can
+ * open in the `hello` handshake and open the intersection.
+ */
+
+// Stream IDs well above the range auto-assigned to SimplePeer's channel
+export const BULK_CHANNEL_IDS = [100, 101];
+
+/**
+ * Pick the bulk channel IDs both peers support
+ * @param {number[]|undefined} peerIds - IDs from the peer's hello
+ * @returns {number[]} IDs to open (empty when the peer has no bulk channels)
+ */
+export function negotiateBulkChannelIds(peerIds) {
+  if (!Array.isArray(peerIds)) {
+    return [];
+  }
+  return BULK_CHANNEL_IDS.filter(id => peerIds.includes(id));
+}
+
+/**
+ * Open pre-negotiated bulk channels on a peer connection
+ * @param {RTCPeerConnection} pc - Underlying peer connection
+ * @param {number[]} ids - Stream IDs agreed in the handshake
+ * @param {Object} handlers
+ * @param {Function} handlers.onMessage - Called with a Uint8Array per message
+ * @param {Function} [handlers.onClose] - Called with the channel ID when a channel closes
+ * @returns {RTCDataChannel[]} Opened channels
+ */
+export function openBulkChannels(pc, ids, { onMessage, onClose }) {
+  return ids.map(id => {
+    const channel = pc.createDataChannel(`photosync-bulk-${id}`, {
+      negotiated: true,
+      id,
+      ordered: true
+    });
+    channel.binaryType = 'arraybuffer';
+    channel.onmessage = (event) => onMessage(new Uint8Array(event.data));
+    channel.onclose = () => {
+      if (onClose) onClose(id);
+    };
+    return channel;
+  });
+}
+
+/**
+ * Close bulk channels, ignoring ones that are already closed
+ * @param {RTCDataChannel[]} channels
+ */
+export function closeBulkChannels(channels) {
+  channels.forEach(channel => {
+    try {
+      channel.close();
+    } catch (err) {
+      // Already closed together with the peer connection
+    }
+  });
+}
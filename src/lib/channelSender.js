@@ -0,0 +1,169 @@
+/**
+ * Backpressure-Aware Channel Sender
+ * Queues outgoing data channel messages and only hands them to the channel
+ * while its send buffer has room
+ *
+ * RTCDataChannel.send throws ("Failure to send data") once the browser's
+ * send buffer is full. The sender keeps `bufferedAmount` below a high water
+ * mark, waits for `bufferedamountlow` before continuing, and keeps messages
+ * queued - never dropped - across short stalls. Producers that can hold
+ * back (the photo request queue, the heartbeat) check `hasRoom` or await
+ * `waitForRoom()` instead of piling messages into the queue. The queue is
+ * capped at `maxQueuedBytes` so a channel that never drains can't grow it
+ * without bound; `send` refuses messages beyond the cap.
+ */
+
+const DEFAULT_HIGH_WATER_MARK = 1024 * 1024; // 1 MB
+const DEFAULT_LOW_WATER_MARK = 256 * 1024; // 256 KB
+const DEFAULT_MAX_QUEUED_BYTES = 4 * 1024 * 1024; // 4 MB
+
+// Fallback poll in case bufferedamountlow never fires (seen on older Safari)
+const STALL_POLL_INTERVAL = 250; // ms
+
+/**
+ * Create a sender for one data channel
+ * @param {RTCDataChannel} channel - Channel to send on
+ * @param {Object} [options]
+ * @param {number} [options.highWaterMark] - Pause sending above this many buffered bytes
+ * @param {number} [options.lowWaterMark] - Resume sending below this many buffered bytes
+ * @param {number} [options.maxQueuedBytes] - Refuse new messages while this many bytes are queued
+ * @param {Function} [options.onError] - Called with the error when a send fails
+ * @returns {Object} Sender API
+ */
+export function createChannelSender(channel, {
+  highWaterMark = DEFAULT_HIGH_WATER_MARK,
+  lowWaterMark = DEFAULT_LOW_WATER_MARK,
+  maxQueuedBytes = DEFAULT_MAX_QUEUED_BYTES,
+  onError
+} = {}) {
+  const queue = [];
+  let queuedBytes = 0;
+  let stalled = false;
+  let closed = false;
+  let pollTimer = null;
+  let roomWaiters = [];
+
+  channel.bufferedAmountLowThreshold = lowWaterMark;
+
+  const hasRoom = () => channel.bufferedAmount < highWaterMark;
+
+  function resolveRoomWaiters() {
+    if (queue.length > 0 || !hasRoom()) return;
+    const waiters = roomWaiters;
+    roomWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  function resume() {
+    stalled = false;
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+    flush();
+  }
+
+  function stall() {
+    if (stalled) return;
+    stalled = true;
+    pollTimer = setTimeout(() => {
+      pollTimer = null;
+      stalled = false;
+      flush();
+    }, STALL_POLL_INTERVAL);
+  }
+
+  function flush() {
+    if (closed || stalled) return;
+
+    while (queue.length > 0) {
+      if (channel.readyState !== 'open') {
+        // Keep everything queued until the channel opens (or the sender is closed)
+        return;
+      }
+      if (!hasRoom()) {
+        stall();
+        return;
+      }
+
+      const message = queue[0];
+      try {
+        channel.send(message);
+      } catch (err) {
+        // Buffer filled up between the check and the send - retry the same message later
+        if (onError) onError(err);
+        stall();
+        return;
+      }
+      queue.shift();
+      queuedBytes -= message.byteLength;
+    }
+
+    if (roomWaiters.length > 0 && !hasRoom()) {
+      // Nothing queued, but producers are waiting for the buffer to drain
+      stall();
+      return;
+    }
+    resolveRoomWaiters();
+  }
+
+  channel.addEventListener('bufferedamountlow', resume);
+  channel.addEventListener('open', flush);
+
+  return {
+    /**
+     * Queue a message; it is sent as soon as the channel has room
+     * @param {Uint8Array} message
+     * @returns {boolean} False if the sender is closed or the queue is full
+     */
+    send(message) {
+      if (closed || queuedBytes + message.byteLength > maxQueuedBytes) {
+        return false;
+      }
+      queue.push(message);
+      queuedBytes += message.byteLength;
+      flush();
+      return true;
+    },
+
+    /**
+     * Resolve once the queue is empty and the channel is below its high water
+     * mark - producers await this between chunks to avoid flooding the buffer
+     * @returns {Promise<void>}
+     */
+    waitForRoom() {
+      if (closed || (queue.length === 0 && hasRoom())) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => {
+        roomWaiters.push(resolve);
+        flush();
+      });
+    },
+
+    /**
+     * Drop queued messages and detach from the channel
+     */
+    close() {
+      closed = true;
+      queue.length = 0;
+      queuedBytes = 0;
+      if (pollTimer) {
+        clearTimeout(pollTimer);
+        pollTimer = null;
+      }
+      channel.removeEventListener('bufferedamountlow', resume);
+      channel.removeEventListener('open', flush);
+      const waiters = roomWaiters;
+      roomWaiters = [];
+      waiters.forEach(resolve => resolve());
+    },
+
+    /**
+     * @returns {boolean} True if a message sent now would go out right away
+     */
+    get hasRoom() {
+      return !closed && queue.length === 0 && hasRoom();
+    }
+  };
+}
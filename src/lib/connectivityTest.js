@@ -0,0 +1,358 @@
+/**
+ * Connectivity Self-Test
+ * Works out why pairing with the desktop fails, from this device's side
+ *
+ * Three checks run against the ICE configuration the next connection would use:
+ * - Candidate gathering: a throwaway RTCPeerConnection gathers candidates
+ *   from every STUN/TURN server. Server-reflexive (srflx) candidates reveal
+ *   the NAT: if different STUN servers see the same local socket on
+ *   different public ports, the NAT maps per destination (symmetric) and
+ *   direct connections from outside the LAN will fail without TURN.
+ *   Browsers that hide local addresses (mDNS host names, srflx candidates
+ *   with `raddr 0.0.0.0 rport 0`) don't say which socket a mapping belongs
+ *   to, and the NAT type is then reported as unknown.
+ * - Signaling: a bare socket.io handshake with the signaling server.
+ * - Loopback: two local peer connections open a data channel and time a
+ *   ping, proving the browser's WebRTC stack (and relays, in relay-only mode)
+ *   actually carries data.
+ * The results are summed up in a plain-language verdict.
+ */
+
+import { io } from 'socket.io-client';
+import { ICE_TRANSPORT_POLICIES, hasRelayServer } from './iceConfig';
+
+export const NAT_TYPES = {
+  OPEN: 'open', // Public address, no NAT
+  CONE: 'cone', // Same public port for every destination - direct connections work
+  SYMMETRIC: 'symmetric', // New public port per destination - needs TURN from outside the LAN
+  UDP_BLOCKED: 'udp-blocked', // STUN never answered over UDP
+  UNKNOWN: 'unknown' // No STUN server, or the browser hid the local addresses
+};
+
+export const VERDICT_LEVELS = {
+  OK: 'ok',
+  WARN: 'warn',
+  FAIL: 'fail'
+};
+
+const GATHER_TIMEOUT = 6000; // ms
+const SIGNALING_TIMEOUT = 8000; // ms
+const LOOPBACK_TIMEOUT = 10000; // ms
+
+/**
+ * Parse an ICE candidate line
+ * @param {string} candidate - e.g. "candidate:1 1 udp 1677 203.0.113.5 51234 typ srflx raddr 10.0.0.2 rport 51234"
+ * @returns {Object|null} { protocol, address, port, type, relatedAddress, relatedPort }
+ */
+export function parseCandidate(candidate) {
+  const parts = candidate.replace(/^(a=)?candidate:/, '').trim().split(/\s+/);
+  if (parts.length < 8 || parts[6] !== 'typ') return null;
+
+  const extras = {};
+  for (let i = 8; i + 1 < parts.length; i += 2) {
+    extras[parts[i]] = parts[i + 1];
+  }
+  return {
+    protocol: parts[2].toLowerCase(),
+    address: parts[4],
+    port: Number(parts[5]),
+    type: parts[7],
+    relatedAddress: extras.raddr || null,
+    relatedPort: extras.rport ? Number(extras.rport) : null
+  };
+}
+
+/**
+ * @param {string|null} address
+ * @returns {boolean} True for a real IP, false for a missing, zeroed or mDNS (.local) address
+ */
+const isRevealedAddress = (address) => (
+  Boolean(address) && address !== '0.0.0.0' && address !== '::' && !address.endsWith('.local')
+);
+
+/**
+ * Infer the NAT type from gathered candidates
+ * @param {Array} candidates - Parsed candidates
+ * @param {boolean} stunConfigured - False when no STUN/TURN server was asked
+ * @returns {string} One of NAT_TYPES
+ */
+export function inferNatType(candidates, stunConfigured) {
+  const reflexive = candidates.filter(candidate => candidate.type === 'srflx' && candidate.protocol === 'udp');
+  if (reflexive.length === 0) {
+    return stunConfigured ? NAT_TYPES.UDP_BLOCKED : NAT_TYPES.UNKNOWN;
+  }
+
+  const hostAddresses = new Set(candidates
+    .filter(candidate => candidate.type === 'host' && isRevealedAddress(candidate.address))
+    .map(candidate => candidate.address));
+  if (reflexive.every(candidate => hostAddresses.has(candidate.address) || candidate.address === candidate.relatedAddress)) {
+    return NAT_TYPES.OPEN;
+  }
+
+  // Without the local socket, different public ports could just be different sockets
+  const attributed = reflexive.filter(candidate => isRevealedAddress(candidate.relatedAddress) && candidate.relatedPort > 0);
+  if (attributed.length === 0) {
+    return NAT_TYPES.UNKNOWN;
+  }
+
+  // One local socket, one public address, several public ports -> the mapping depends on the destination
+  const mappings = new Map();
+  attributed.forEach(candidate => {
+    const key = `${candidate.relatedAddress}:${candidate.relatedPort}>${candidate.address}`;
+    const ports = mappings.get(key) || new Set();
+    ports.add(candidate.port);
+    mappings.set(key, ports);
+  });
+  return Array.from(mappings.values()).some(ports => ports.size > 1) ? NAT_TYPES.SYMMETRIC : NAT_TYPES.CONE;
+}
+
+/**
+ * Gather ICE candidates from the configured servers
+ * @param {Object} iceConfig - { iceServers }
+ * @returns {Promise<{candidates: Array, errors: Array, complete: boolean}>}
+ */
+export function gatherCandidates(iceConfig, timeout = GATHER_TIMEOUT) {
+  return new Promise(resolve => {
+    // Always gather everything - relay-only would hide what the network allows
+    const pc = new RTCPeerConnection({ iceServers: iceConfig.iceServers });
+    const candidates = [];
+    const errors = [];
+    let timer = null;
+
+    const finish = (complete) => {
+      clearTimeout(timer);
+      pc.onicecandidate = null;
+      pc.onicecandidateerror = null;
+      pc.close();
+      resolve({ candidates, errors, complete });
+    };
+
+    pc.onicecandidate = (event) => {
+      if (!event.candidate) {
+        finish(true);
+        return;
+      }
+      const parsed = event.candidate.candidate && parseCandidate(event.candidate.candidate);
+      if (parsed) {
+        candidates.push({ ...parsed, url: event.candidate.url || null });
+      }
+    };
+    pc.onicecandidateerror = (event) => {
+      errors.push({ url: event.url || null, errorCode: event.errorCode, errorText: event.errorText || '' });
+    };
+
+    timer = setTimeout(() => finish(false), timeout);
+    pc.createDataChannel('connectivity-test');
+    pc.createOffer()
+      .then(offer => pc.setLocalDescription(offer))
+      .catch(err => {
+        errors.push({ url: null, errorCode: null, errorText: err.message });
+        finish(false);
+      });
+  });
+}
+
+/**
+ * Check that the signaling server completes a socket.io handshake
+ * @param {string} signalingServer
+ * @returns {Promise<{ok: boolean, latency?: number, transport?: string, error?: string}>}
+ */
+export function checkSignaling(signalingServer, timeout = SIGNALING_TIMEOUT) {
+  return new Promise(resolve => {
+    const startedAt = Date.now();
+    const socket = io(signalingServer, {
+      transports: ['websocket', 'polling'],
+      reconnection: false,
+      forceNew: true,
+      timeout
+    });
+
+    const finish = (result) => {
+      socket.off('connect');
+      socket.off('connect_error');
+      socket.disconnect();
+      resolve(result);
+    };
+
+    socket.on('connect', () => finish({
+      ok: true,
+      latency: Date.now() - startedAt,
+      transport: socket.io.engine?.transport?.name || null
+    }));
+    socket.on('connect_error', (err) => finish({ ok: false, error: err.message }));
+  });
+}
+
+/**
+ * Open a data channel between two local peer connections and time a ping
+ * @param {Object} iceConfig - { iceServers, iceTransportPolicy }
+ * @returns {Promise<{ok: boolean, rtt?: number, error?: string}>}
+ */
+export function runLoopback(iceConfig, timeout = LOOPBACK_TIMEOUT) {
+  const config = { iceServers: iceConfig.iceServers, iceTransportPolicy: iceConfig.iceTransportPolicy };
+  const offerer = new RTCPeerConnection(config);
+  const answerer = new RTCPeerConnection(config);
+  let timer = null;
+
+  const done = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No data channel round trip within ${timeout / 1000}s`)), timeout);
+
+    offerer.onicecandidate = (event) => event.candidate && answerer.addIceCandidate(event.candidate).catch(reject);
+    answerer.onicecandidate = (event) => event.candidate && offerer.addIceCandidate(event.candidate).catch(reject);
+
+    answerer.ondatachannel = (event) => {
+      event.channel.onmessage = (message) => event.channel.send(message.data);
+    };
+
+    const channel = offerer.createDataChannel('loopback');
+    let sentAt = 0;
+    channel.onopen = () => {
+      sentAt = performance.now();
+      channel.send('ping');
+    };
+    channel.onmessage = () => resolve(Math.round(performance.now() - sentAt));
+
+    offerer.createOffer()
+      .then(offer => offerer.setLocalDescription(offer))
+      .then(() => answerer.setRemoteDescription(offerer.localDescription))
+      .then(() => answerer.createAnswer())
+      .then(answer => answerer.setLocalDescription(answer))
+      .then(() => offerer.setRemoteDescription(answerer.localDescription))
+      .catch(reject);
+  });
+
+  return done
+    .then(rtt => ({ ok: true, rtt }))
+    .catch(err => ({ ok: false, error: err.message }))
+    .finally(() => {
+      clearTimeout(timer);
+      offerer.close();
+      answerer.close();
+    });
+}
+
+/**
+ * Turn the raw results into plain-language findings
+ * @param {Object} result - From runConnectivityTest
+ * @returns {{level: string, messages: string[]}}
+ */
+export function buildVerdict({ iceConfig, gathering, natType, signaling, loopback }) {
+  const messages = [];
+  let level = VERDICT_LEVELS.OK;
+  const fail = (message) => {
+    level = VERDICT_LEVELS.FAIL;
+    messages.push(message);
+  };
+  const warn = (message) => {
+    if (level === VERDICT_LEVELS.OK) level = VERDICT_LEVELS.WARN;
+    messages.push(message);
+  };
+
+  const relayConfigured = hasRelayServer(iceConfig.iceServers);
+  const hasRelay = gathering.candidates.some(candidate => candidate.type === 'relay');
+  const relayOnly = iceConfig.iceTransportPolicy === ICE_TRANSPORT_POLICIES.RELAY;
+
+  if (!signaling.ok) {
+    fail(`The signaling server can't be reached (${signaling.error}). Check your internet connection and the server address from the QR code.`);
+  }
+
+  if (gathering.candidates.length === 0) {
+    fail('This browser gathered no network candidates at all. WebRTC may be disabled by a browser setting or extension.');
+  } else if (relayOnly && !hasRelay) {
+    fail(relayConfigured
+      ? 'Relay-only mode is on, but the TURN server could not be used. Check its address and credentials.'
+      : 'Relay-only mode is on, but no TURN server is configured. Add one in Settings or turn relay-only off.');
+  } else if (natType === NAT_TYPES.UDP_BLOCKED) {
+    if (hasRelay) {
+      warn('Your network blocks UDP to STUN servers, so connections will go through the TURN relay (slower).');
+    } else {
+      fail(relayConfigured
+        ? 'Your network blocks UDP, and the TURN server could not be reached either. Check the TURN server address and credentials.'
+        : 'Your network blocks UDP; a TURN server is required. Add one in Settings, or connect the phone to the same network as the desktop.');
+    }
+  } else if (natType === NAT_TYPES.SYMMETRIC) {
+    if (hasRelay) {
+      warn('Your network uses a symmetric NAT. Away from home, connections will go through the TURN relay.');
+    } else {
+      warn('Your network uses a symmetric NAT; connecting from outside the desktop\'s network needs a TURN server. On the same network it will still work.');
+    }
+  } else if (natType === NAT_TYPES.UNKNOWN && iceConfig.iceServers.length === 0) {
+    warn('No STUN server is configured, so only devices on the same network as the desktop can connect.');
+  }
+
+  if (relayConfigured && !hasRelay && !relayOnly && natType !== NAT_TYPES.UDP_BLOCKED) {
+    warn('A TURN server is configured but could not be used. Check its address and credentials.');
+  }
+
+  if (!loopback.ok) {
+    fail(`This browser could not pass data over a WebRTC data channel (${loopback.error}).`);
+  }
+
+  if (messages.length === 0) {
+    if (natType === NAT_TYPES.OPEN) {
+      messages.push('Your device has a public address - direct connections should work anywhere.');
+    } else if (natType === NAT_TYPES.UNKNOWN) {
+      messages.push('STUN works, but this browser hides its local addresses, so the NAT type could not be determined. If pairing from outside the desktop\'s network fails, add a TURN server.');
+    } else {
+      messages.push('Your network supports direct connections. If pairing still fails, check that the desktop app is running and online.');
+    }
+  }
+  return { level, messages };
+}
+
+/**
+ * Run every check
+ * @param {Object} options
+ * @param {Object} options.iceConfig - { iceServers, iceTransportPolicy } the next connection would use
+ * @param {string} options.signalingServer
+ * @param {Function} [options.onProgress] - Called with a step name as each check starts
+ * @returns {Promise<Object>} Results with `verdict`
+ */
+export async function runConnectivityTest({ iceConfig, signalingServer, onProgress }) {
+  const startedAt = new Date().toISOString();
+  const progress = (step) => onProgress && onProgress(step);
+
+  progress('gathering');
+  const [gathering, signaling] = await Promise.all([
+    gatherCandidates(iceConfig),
+    signalingServer
+      ? checkSignaling(signalingServer)
+      : Promise.resolve({ ok: false, error: 'no signaling server configured' })
+  ]);
+
+  progress('loopback');
+  const loopback = await runLoopback(iceConfig);
+
+  const natType = inferNatType(gathering.candidates, iceConfig.iceServers.length > 0);
+  const result = { startedAt, signalingServer, iceConfig, gathering, natType, signaling, loopback };
+  return { ...result, verdict: buildVerdict(result) };
+}
+
+/**
+ * Plain-text report for bug reports
+ * Addresses are left out - only candidate types and protocols are listed
+ * @param {Object} result - From runConnectivityTest
+ * @returns {string}
+ */
+export function formatConnectivityReport(result) {
+  const { gathering, signaling, loopback, iceConfig } = result;
+  const counts = {};
+  gathering.candidates.forEach(({ type, protocol }) => {
+    const key = `${type}/${protocol}`;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  return [
+    `PhotoSync connectivity test - ${result.startedAt}`,
+    `Verdict (${result.verdict.level}):`,
+    ...result.verdict.messages.map(message => `  - ${message}`),
+    `NAT type: ${result.natType}`,
+    `Candidates: ${Object.entries(counts).map(([key, count]) => `${key} x${count}`).join(', ') || 'none'}${gathering.complete ? '' : ' (gathering timed out)'}`,
+    ...gathering.errors.map(({ url, errorCode, errorText }) => `ICE error: ${url || 'unknown server'} ${errorCode ?? ''} ${errorText}`.trim()),
+    `Signaling server: ${result.signalingServer || 'none'}`,
+    `ICE servers: ${iceConfig.iceServers.flatMap(server => [].concat(server.urls)).join(', ') || 'none'} (policy: ${iceConfig.iceTransportPolicy})`,
+    `Signaling: ${signaling.ok ? `ok, ${signaling.latency}ms over ${signaling.transport}` : `failed - ${signaling.error}`}`,
+    `Loopback data channel: ${loopback.ok ? `ok, ${loopback.rtt}ms round trip` : `failed - ${loopback.error}`}`,
+    `User agent: ${navigator.userAgent}`
+  ].join('\n');
+}
@@ -0,0 +1,426 @@
+/**
+ * File Sinks
+ * Destinations that save a download while its bytes arrive instead of
+ * assembling the whole file in memory first
+ *
+ * With the File System Access API (Chromium) the user picks the target file
+ * before the transfer starts and every chunk is written straight to it. The
+ * browser only replaces the target when the sink is closed, so an aborted or
+ * corrupt download never leaves a half-written file behind.
+ *
+ * Browsers without a save picker but with a writable origin private file
+ * system (current Firefox and Safari) stage the file there as chunks arrive
+ * and hand the finished, disk-backed file to the download manager. Staged
+ * files are swept once they are old enough for the download to have read
+ * them.
+ *
+ * Only browsers with neither get the in-memory fallback: chunks are folded
+ * into blob segments of SEGMENT_SIZE bytes and the joined blob is saved
+ * through a download link. The whole file is held in memory until then, so
+ * it refuses files larger than MAX_IN_MEMORY_SIZE - up front when the size
+ * is known, otherwise as soon as that many bytes have arrived.
+ *
+ * Writes go through a single-writer queue that batches whatever arrived
+ * while the previous write ran. A disk slower than the network shows up as
+ * `backedUp`; the caller pauses the transfer and waits for `drained()`
+ * rather than letting chunks pile up in memory. A sink that can no longer
+ * save the file reports why in `failure`.
+ */
+
+export const SINK_METHODS = {
+  DISK: 'disk',         // Written to a user-picked file as chunks arrive
+  STAGED: 'staged',     // Written to the origin private file system, saved via a download link
+  DOWNLOAD: 'download'  // Collected in blob segments, saved via a download link
+};
+
+// Bytes gathered before they are folded into a blob segment
+export const SEGMENT_SIZE = 8 * 1024 * 1024; // 8 MB
+
+// Largest file the in-memory fallback will hold
+export const MAX_IN_MEMORY_SIZE = 256 * 1024 * 1024; // 256 MB
+
+// A sink with more than this waiting to be written asks the caller to pause
+const HIGH_WATER_MARK = 32 * 1024 * 1024; // 32 MB
+
+// drained() resolves once no more than this is waiting
+const LOW_WATER_MARK = 8 * 1024 * 1024; // 8 MB
+
+// Revoking the download URL right after the click can cancel the download in Safari
+const REVOKE_DELAY = 60000; // ms
+
+// Staged files are kept this long after saving so the download can finish reading them
+const STAGED_FILE_TTL = 60 * 60 * 1000; // ms
+
+const STAGED_FILE_PREFIX = 'photosync-original-';
+
+// Names of staged files still being written or downloaded in this session
+const activeStagedFiles = new Set();
+
+// Marks a reset in the write queue
+const RESET = Symbol('reset');
+
+/**
+ * @returns {boolean} True if files can be written to disk while downloading
+ */
+export function supportsFileSystemAccess() {
+  return typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+}
+
+/**
+ * @returns {boolean} True if downloads can be staged in the origin private file system
+ */
+function supportsStagedFiles() {
+  return typeof navigator !== 'undefined' && typeof navigator.storage?.getDirectory === 'function' &&
+    typeof window.FileSystemFileHandle?.prototype.createWritable === 'function';
+}
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
+ * @returns {Promise<void>} Resolves once the URL has been revoked
+ */
+function saveViaLink(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  return new Promise(resolve => setTimeout(() => {
+    URL.revokeObjectURL(url);
+    resolve();
+  }, REVOKE_DELAY));
+}
+
+/**
+ * Sink writing to a FileSystemWritableFileStream
+ * @param {FileSystemWritableFileStream} writable
+ * @param {Object} [options]
+ * @param {string} [options.method=SINK_METHODS.DISK]
+ * @param {Function} [options.onClose] - (mimeType) after the stream is closed, e.g. to hand the file on
+ * @param {Function} [options.onAbort] - After the stream is aborted, e.g. to delete the file
+ * @returns {Object} Sink API
+ */
+function createStreamSink(writable, { method = SINK_METHODS.DISK, onClose, onAbort } = {}) {
+  let queue = []; // Chunks, and RESET markers, waiting to be written in order
+  let queuedBytes = 0;
+  let writing = null; // Promise of the running write loop
+  let failure = null; // First write error of the current attempt, reported by close()
+  let aborted = false;
+  let generation = 0; // Bumped by reset() so a write from before it can't fail the new attempt
+  let bytesWritten = 0;
+  let drainWaiters = [];
+
+  function notifyDrain() {
+    if (queuedBytes > LOW_WATER_MARK && !failure) return;
+    const waiters = drainWaiters;
+    drainWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  async function writeLoop() {
+    while (queue.length > 0 && !failure) {
+      const attempt = generation;
+      if (queue[0] === RESET) {
+        queue.shift();
+        try {
+          // Truncating also moves the write position back to 0
+          await writable.truncate(0);
+        } catch (err) {
+          if (attempt === generation) failure = failure || err;
+        }
+        continue;
+      }
+
+      // Everything up to the next reset goes out in one write
+      const resetIndex = queue.indexOf(RESET);
+      const batch = resetIndex === -1 ? queue : queue.slice(0, resetIndex);
+      queue = resetIndex === -1 ? [] : queue.slice(resetIndex);
+      const batchBytes = batch.reduce((total, chunk) => total + chunk.byteLength, 0);
+      try {
+        await writable.write(batch.length === 1 ? batch[0] : new Blob(batch));
+      } catch (err) {
+        if (attempt === generation) failure = failure || err;
+      }
+      if (attempt === generation) {
+        queuedBytes -= batchBytes;
+      }
+      notifyDrain();
+    }
+    if (failure) {
+      queue = [];
+      queuedBytes = 0;
+      notifyDrain();
+    }
+  }
+
+  function startWriting() {
+    if (writing) return;
+    writing = writeLoop().then(() => {
+      writing = null;
+      // A chunk may have been queued after the loop's last check
+      if (queue.length > 0 && !failure) startWriting();
+    });
+  }
+
+  async function settle() {
+    while (writing) {
+      await writing;
+    }
+  }
+
+  return {
+    method,
+
+    write(chunk) {
+      if (aborted || failure) return;
+      queue.push(chunk);
+      queuedBytes += chunk.byteLength;
+      bytesWritten += chunk.byteLength;
+      startWriting();
+    },
+
+    /**
+     * Discard everything written so far; the file starts over at byte 0
+     */
+    reset() {
+      if (aborted) return;
+      generation += 1;
+      queue = [RESET];
+      queuedBytes = 0;
+      bytesWritten = 0;
+      failure = null;
+      notifyDrain();
+      startWriting();
+    },
+
+    async close(mimeType) {
+      await settle();
+      if (failure) {
+        await writable.abort().catch(() => {});
+        if (onAbort) await onAbort();
+        throw failure;
+      }
+      await writable.close();
+      if (onClose) await onClose(mimeType);
+    },
+
+    async abort() {
+      aborted = true;
+      failure = failure || new Error('Download aborted');
+      queue = [];
+      queuedBytes = 0;
+      notifyDrain();
+      await settle();
+      await writable.abort().catch(() => {});
+      if (onAbort) await onAbort();
+    },
+
+    /**
+     * Resolve once the write queue is down to the low water mark (or the sink failed)
+     * @returns {Promise<void>}
+     */
+    drained() {
+      if (queuedBytes <= LOW_WATER_MARK || failure) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => drainWaiters.push(resolve));
+    },
+
+    /**
+     * @returns {boolean} True while more is waiting to be written than the sink should hold
+     */
+    get backedUp() {
+      return !failure && queuedBytes > HIGH_WATER_MARK;
+    },
+
+    /**
+     * @returns {Error|null} Why the file can't be saved any more, null while it can
+     */
+    get failure() {
+      return failure;
+    },
+
+    get bytesWritten() {
+      return bytesWritten;
+    }
+  };
+}
+
+/**
+ * Delete staged files left by earlier sessions
+ * @param {FileSystemDirectoryHandle} root
+ */
+async function sweepStagedFiles(root) {
+  const now = Date.now();
+  for await (const name of root.keys()) {
+    if (!name.startsWith(STAGED_FILE_PREFIX) || activeStagedFiles.has(name)) continue;
+    const stagedAt = parseInt(name.slice(STAGED_FILE_PREFIX.length), 10);
+    if (!Number.isFinite(stagedAt) || now - stagedAt > STAGED_FILE_TTL) {
+      await root.removeEntry(name).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Sink staging the file in the origin private file system
+ * @param {string} filename - Name offered to the browser's download manager
+ * @returns {Promise<Object>} Sink API
+ */
+async function createStagedSink(filename) {
+  const root = await navigator.storage.getDirectory();
+  sweepStagedFiles(root).catch(err => console.warn('[FileSink] Could not sweep staged files:', err.message));
+
+  const name = `${STAGED_FILE_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const handle = await root.getFileHandle(name, { create: true });
+  activeStagedFiles.add(name);
+
+  const remove = async () => {
+    activeStagedFiles.delete(name);
+    await root.removeEntry(name).catch(() => {});
+  };
+
+  let writable;
+  try {
+    writable = await handle.createWritable();
+  } catch (err) {
+    await remove();
+    throw err;
+  }
+
+  return createStreamSink(writable, {
+    method: SINK_METHODS.STAGED,
+    onClose: async (mimeType) => {
+      const file = await handle.getFile();
+      saveViaLink(new Blob([file], { type: mimeType || 'application/octet-stream' }), filename)
+        .then(remove);
+    },
+    onAbort: remove
+  });
+}
+
+/**
+ * Sink collecting blob segments and saving them through a download link
+ * @param {string} filename - Name offered to the browser's download manager
+ * @returns {Object} Sink API
+ */
+function createDownloadSink(filename) {
+  let segments = [];
+  let pendingChunks = [];
+  let pendingBytes = 0;
+  let bytesWritten = 0;
+  let failure = null;
+
+  function flushSegment() {
+    if (pendingChunks.length === 0) return;
+    segments.push(new Blob(pendingChunks));
+    pendingChunks = [];
+    pendingBytes = 0;
+  }
+
+  function reset() {
+    segments = [];
+    pendingChunks = [];
+    pendingBytes = 0;
+    bytesWritten = 0;
+    failure = null;
+  }
+
+  return {
+    method: SINK_METHODS.DOWNLOAD,
+
+    write(chunk) {
+      if (failure) return;
+      if (bytesWritten + chunk.byteLength > MAX_IN_MEMORY_SIZE) {
+        // Drop what we have rather than keep growing until the tab is killed
+        segments = [];
+        pendingChunks = [];
+        pendingBytes = 0;
+        failure = new Error(tooLargeMessage());
+        return;
+      }
+      pendingChunks.push(chunk);
+      pendingBytes += chunk.byteLength;
+      bytesWritten += chunk.byteLength;
+      if (pendingBytes >= SEGMENT_SIZE) {
+        flushSegment();
+      }
+    },
+
+    reset,
+
+    async close(mimeType) {
+      if (failure) {
+        throw failure;
+      }
+      flushSegment();
+      const blob = new Blob(segments, { type: mimeType || 'application/octet-stream' });
+      segments = [];
+      saveViaLink(blob, filename);
+    },
+
+    async abort() {
+      reset();
+    },
+
+    // Nothing is waiting to be written - every chunk is already in a segment
+    drained() {
+      return Promise.resolve();
+    },
+
+    get backedUp() {
+      return false;
+    },
+
+    get failure() {
+      return failure;
+    },
+
+    get bytesWritten() {
+      return bytesWritten;
+    }
+  };
+}
+
+/**
+ * @returns {string} Why the in-memory fallback refused a file
+ */
+const tooLargeMessage = () => (
+  `File is larger than ${MAX_IN_MEMORY_SIZE / (1024 * 1024)} MB - this browser can only save it from memory`
+);
+
+/**
+ * Open a sink for a download
+ * Call it straight from a user gesture: the save dialog needs one and is
+ * shown before anything else happens
+ * @param {string} filename - Suggested file name
+ * @param {number} [size] - Expected size in bytes, if known
+ * @returns {Promise<Object|null>} Sink, or null if the user dismissed the save dialog
+ * @throws {Error} If the file is too large for the only sink this browser supports
+ */
+export async function openFileSink(filename, size) {
+  if (supportsFileSystemAccess()) {
+    try {
+      const handle = await window.showSaveFilePicker({ suggestedName: filename });
+      return createStreamSink(await handle.createWritable());
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        return null;
+      }
+      console.warn('[FileSink] Cannot write to disk, trying other methods:', err.message);
+    }
+  }
+  if (supportsStagedFiles()) {
+    try {
+      return await createStagedSink(filename);
+    } catch (err) {
+      console.warn('[FileSink] Cannot stage in the private file system, falling back to memory:', err.message);
+    }
+  }
+  if (size > MAX_IN_MEMORY_SIZE) {
+    throw new Error(tooLargeMessage());
+  }
+  return createDownloadSink(filename);
+}
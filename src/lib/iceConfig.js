@@ -0,0 +1,281 @@
+/**
+ * ICE Server Configuration
+ * Decides which STUN/TURN servers and transport policy a peer connection uses
+ *
+ * Servers come from, in order of precedence:
+ * 1. The Settings tab (stored in localStorage)
+ * 2. The pairing QR code (`iceServers`, `relayOnly`), stored per room
+ * 3. Runtime config: `window.PHOTOSYNC_CONFIG` from public/config.js, or
+ *    the REACT_APP_ICE_SERVERS / REACT_APP_ICE_RELAY_ONLY build variables
+ * 4. Public Google STUN servers
+ * The first source that lists servers wins. TURN servers with short-lived
+ * credentials handed out by the signaling server (`room-joined`) or the
+ * desktop (`hello`) are added on top, and dropped once their `expiresAt`
+ * has passed. Relay-only mode follows the same precedence, decided by the
+ * first source that sets it either way, so "never" in Settings overrides a
+ * QR code or deployment that asks for it. It sets
+ * `iceTransportPolicy: 'relay'` so only TURN candidates are used and no
+ * address is revealed to the peer or a STUN server.
+ */
+
+export const ICE_TRANSPORT_POLICIES = {
+  ALL: 'all',
+  RELAY: 'relay'
+};
+
+export const DEFAULT_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+  { urls: 'stun:stun2.l.google.com:19302' }
+];
+
+const SETTINGS_STORAGE_KEY = 'photosync_ice_settings';
+const PAIRED_STORAGE_KEY = 'photosync_ice_paired';
+
+const ICE_URL_PATTERN = /^(stun|stuns|turn|turns):[^\s]+$/i;
+
+/**
+ * @param {string} url
+ * @returns {boolean} True for turn: and turns: URLs
+ */
+const isTurnUrl = (url) => /^turns?:/i.test(url);
+
+/**
+ * Validate and normalize one RTCIceServer
+ * @param {Object} server - { urls, username?, credential?, expiresAt? }
+ * @returns {Object} Server with `urls` as an array
+ * @throws {Error} If a URL is malformed or a TURN server lacks credentials
+ */
+export function normalizeIceServer(server) {
+  const urls = Array.isArray(server?.urls) ? server.urls : [server?.urls];
+  if (urls.length === 0 || urls.some(url => typeof url !== 'string' || !ICE_URL_PATTERN.test(url))) {
+    throw new Error(`Invalid ICE server URL: ${urls.join(', ')}`);
+  }
+  if (urls.some(isTurnUrl) && (!server.username || !server.credential)) {
+    throw new Error(`TURN server ${urls[0]} needs a username and credential`);
+  }
+  return {
+    urls,
+    ...(server.username ? { username: server.username, credential: server.credential } : {}),
+    ...(server.expiresAt ? { expiresAt: server.expiresAt } : {})
+  };
+}
+
+/**
+ * Validate a list of RTCIceServers
+ * @param {Array} servers
+ * @returns {Array}
+ * @throws {Error} If the list or any server is invalid
+ */
+export function normalizeIceServers(servers) {
+  if (!Array.isArray(servers)) {
+    throw new Error('ICE servers must be a list');
+  }
+  return servers.map(normalizeIceServer);
+}
+
+/**
+ * Validate servers handed out with short-lived credentials
+ * A `ttl` in seconds (as in TURN REST API responses) becomes an absolute `expiresAt`
+ * @param {Array} servers
+ * @param {number} [now=Date.now()]
+ * @returns {Array}
+ * @throws {Error} If any server is invalid
+ */
+export function normalizeIssuedIceServers(servers, now = Date.now()) {
+  return normalizeIceServers(servers.map(server => (server.ttl
+    ? { ...server, expiresAt: now + server.ttl * 1000 }
+    : server)));
+}
+
+/**
+ * @param {Array} servers
+ * @returns {boolean} True if any server is a TURN relay
+ */
+export const hasRelayServer = (servers) => servers.some(server => [].concat(server.urls).some(isTurnUrl));
+
+/**
+ * Parse the Settings text: one server per line, as "URL [USERNAME CREDENTIAL]"
+ * @param {string} text
+ * @returns {Array} Normalized servers
+ * @throws {Error} Naming the first invalid line
+ */
+export function parseIceServerList(text) {
+  return text.split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'))
+    .map(({ line, number }) => {
+      const [url, username, credential] = line.split(/\s+/);
+      try {
+        return normalizeIceServer({ urls: url, username, credential });
+      } catch (err) {
+        throw new Error(`Line ${number}: ${err.message}`);
+      }
+    });
+}
+
+/**
+ * Inverse of parseIceServerList
+ * @param {Array} servers
+ * @returns {string}
+ */
+export function formatIceServerList(servers) {
+  return servers
+    .flatMap(server => [].concat(server.urls).map(url => [url, server.username, server.credential].filter(Boolean).join(' ')))
+    .join('\n');
+}
+
+function readStorage(key) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch (err) {
+    console.error(`[IceConfig] Error reading ${key}:`, err);
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`[IceConfig] Error writing ${key}:`, err);
+  }
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean|null} The value if it is a boolean, null when unset
+ */
+const optionalFlag = (value) => (typeof value === 'boolean' ? value : null);
+
+/**
+ * ICE settings chosen in the Settings tab
+ * @returns {{iceServers: Array|null, relayOnly: boolean|null}} Null when not overridden
+ */
+export function loadIceSettings() {
+  const stored = readStorage(SETTINGS_STORAGE_KEY);
+  return {
+    iceServers: Array.isArray(stored?.iceServers) ? stored.iceServers : null,
+    relayOnly: optionalFlag(stored?.relayOnly)
+  };
+}
+
+/**
+ * @param {{iceServers: Array|null, relayOnly: boolean|null}} settings
+ */
+export function saveIceSettings({ iceServers, relayOnly }) {
+  writeStorage(SETTINGS_STORAGE_KEY, { iceServers, relayOnly });
+}
+
+/**
+ * Remember the ICE configuration from a pairing QR code
+ * @param {string} roomId
+ * @param {Object} payload - Scanned QR payload
+ */
+export function savePairedIceConfig(roomId, { iceServers, relayOnly }) {
+  if (!iceServers && optionalFlag(relayOnly) === null) {
+    clearPairedIceConfig();
+    return;
+  }
+  writeStorage(PAIRED_STORAGE_KEY, { roomId, iceServers: iceServers || null, relayOnly: optionalFlag(relayOnly) });
+}
+
+/**
+ * Forget the QR code's ICE configuration, e.g. when unpairing
+ */
+export function clearPairedIceConfig() {
+  try {
+    localStorage.removeItem(PAIRED_STORAGE_KEY);
+  } catch (err) {
+    console.error(`[IceConfig] Error clearing ${PAIRED_STORAGE_KEY}:`, err);
+  }
+}
+
+/**
+ * @param {string} roomId
+ * @returns {{iceServers: Array|null, relayOnly: boolean|null}|null} The QR's configuration for this room
+ */
+export function loadPairedIceConfig(roomId) {
+  const stored = readStorage(PAIRED_STORAGE_KEY);
+  return stored && stored.roomId === roomId ? { ...stored, relayOnly: optionalFlag(stored.relayOnly) } : null;
+}
+
+/**
+ * ICE configuration the deployment provides
+ * @returns {{iceServers: Array|null, relayOnly: boolean|null}}
+ */
+export function getRuntimeIceConfig() {
+  const runtime = (typeof window !== 'undefined' && window.PHOTOSYNC_CONFIG) || {};
+  let iceServers = runtime.iceServers || null;
+  if (!iceServers && process.env.REACT_APP_ICE_SERVERS) {
+    try {
+      iceServers = JSON.parse(process.env.REACT_APP_ICE_SERVERS);
+    } catch (err) {
+      console.error('[IceConfig] REACT_APP_ICE_SERVERS is not valid JSON:', err.message);
+    }
+  }
+  let relayOnly = optionalFlag(runtime.relayOnly);
+  if (relayOnly === null && process.env.REACT_APP_ICE_RELAY_ONLY) {
+    relayOnly = process.env.REACT_APP_ICE_RELAY_ONLY === 'true';
+  }
+  return { iceServers, relayOnly };
+}
+
+/**
+ * Build the RTCConfiguration fields for a new peer connection
+ * @param {Object} sources
+ * @param {Object} [sources.settings] - From loadIceSettings
+ * @param {Object} [sources.paired] - From loadPairedIceConfig
+ * @param {Object} [sources.runtime] - From getRuntimeIceConfig
+ * @param {Array} [sources.issued] - Short-lived servers from the signaling server or desktop
+ * @param {number} [now=Date.now()]
+ * @returns {{iceServers: Array, iceTransportPolicy: string, source: string}}
+ */
+export function resolveIceConfig({ settings, paired, runtime, issued = [] }, now = Date.now()) {
+  const candidates = [
+    ['settings', settings],
+    ['qr', paired],
+    ['runtime', runtime]
+  ];
+
+  let source = 'default';
+  let base = DEFAULT_ICE_SERVERS;
+  for (const [name, config] of candidates) {
+    if (!config?.iceServers) continue;
+    try {
+      base = normalizeIceServers(config.iceServers);
+      source = name;
+      break;
+    } catch (err) {
+      console.error(`[IceConfig] Ignoring invalid ${name} ICE servers:`, err.message);
+    }
+  }
+
+  const fresh = issued.filter(server => !server.expiresAt || server.expiresAt > now);
+  const relayOnly = candidates
+    .map(([, config]) => optionalFlag(config?.relayOnly))
+    .find(flag => flag !== null) ?? false;
+
+  return {
+    // expiresAt is our own bookkeeping, not part of RTCIceServer
+    iceServers: [...base, ...fresh].map(({ expiresAt, ...server }) => server),
+    iceTransportPolicy: relayOnly ? ICE_TRANSPORT_POLICIES.RELAY : ICE_TRANSPORT_POLICIES.ALL,
+    source
+  };
+}
+
+/**
+ * ICE configuration for the next connection to a room, from every stored source
+ * @param {string} [roomId] - Paired room, for the QR code's servers
+ * @param {Array} [issued] - Short-lived servers from the signaling server or desktop
+ * @returns {{iceServers: Array, iceTransportPolicy: string, source: string}}
+ */
+export function resolveStoredIceConfig(roomId, issued = []) {
+  return resolveIceConfig({
+    settings: loadIceSettings(),
+    paired: roomId ? loadPairedIceConfig(roomId) : null,
+    runtime: getRuntimeIceConfig(),
+    issued
+  });
+}
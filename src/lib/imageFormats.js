@@ -0,0 +1,71 @@
+/**
+ * Image Format Negotiation
+ * Finds the image formats this browser decodes so the desktop can encode
+ * renditions in the smallest one
+ *
+ * Support is detected by decoding a tiny sample of each format (MIME type
+ * checks aren't reliable - Safari reported AVIF before it could decode it).
+ * Every request-photo carries the result, most preferred first, as
+ * `acceptFormats`; the desktop picks the first format it can encode and
+ * reports it in `photo-start`. JPEG is always accepted as the fallback.
+ */
+
+export const IMAGE_FORMATS = {
+  AVIF: 'image/avif',
+  WEBP: 'image/webp',
+  JPEG: 'image/jpeg'
+};
+
+// Most compact first
+const PREFERRED_ORDER = [IMAGE_FORMATS.AVIF, IMAGE_FORMATS.WEBP, IMAGE_FORMATS.JPEG];
+
+// 1x1/2x2 samples that only decode where the format is supported
+const SAMPLES = {
+  [IMAGE_FORMATS.AVIF]: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+  [IMAGE_FORMATS.WEBP]: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
+};
+
+let detection = null;
+
+/**
+ * @param {string} src - Sample data URI
+ * @returns {Promise<boolean>} True if the sample decodes to a non-empty image
+ */
+function canDecode(src) {
+  return new Promise(resolve => {
+    const image = new Image();
+    image.onload = () => resolve(image.width > 0 && image.height > 0);
+    image.onerror = () => resolve(false);
+    image.src = src;
+  });
+}
+
+/**
+ * Detect the image formats this browser decodes
+ * Runs once per page load; later calls share the result
+ * @returns {Promise<string[]>} MIME types, most preferred first, always ending in JPEG
+ */
+export function detectImageFormats() {
+  if (!detection) {
+    detection = typeof Image === 'undefined'
+      ? Promise.resolve([IMAGE_FORMATS.JPEG])
+      : Promise.all(
+        Object.entries(SAMPLES).map(([format, src]) => canDecode(src).then(supported => (supported ? format : null)))
+      ).then(formats => PREFERRED_ORDER.filter(format => format === IMAGE_FORMATS.JPEG || formats.includes(format)));
+  }
+  return detection;
+}
+
+/**
+ * Formats to accept from a desktop, keeping our order of preference
+ * @param {string[]} ours - Formats this browser decodes
+ * @param {string[]|undefined} theirs - Formats from the desktop's hello; unknown means send ours as-is
+ * @returns {string[]}
+ */
+export function negotiateImageFormats(ours, theirs) {
+  if (!Array.isArray(theirs) || theirs.length === 0) {
+    return ours;
+  }
+  const shared = ours.filter(format => theirs.includes(format));
+  return shared.length > 0 ? shared : [IMAGE_FORMATS.JPEG];
+}
@@ -0,0 +1,131 @@
+/**
+ * Peer Connection Statistics
+ * Condenses RTCPeerConnection.getStats() into the numbers that explain how
+ * the link to the desktop is doing
+ *
+ * Everything is read from the selected ICE candidate pair and its local and
+ * remote candidates. Data channels carry no RTP, so there are no packet
+ * loss counters; loss is estimated from the ICE consent checks instead
+ * (requests sent versus responses received over the history window).
+ */
+
+// Samples kept for the history graph; at the diagnostics poll interval this is two minutes
+export const STATS_HISTORY_LENGTH = 60;
+
+// Above these the network is the likely reason photos are slow
+const HIGH_RTT = 300; // ms
+const HIGH_LOSS = 0.05;
+
+// A desktop taking this much longer than a round trip to start sending is busy itself
+const SLOW_RESPONSE_FACTOR = 4;
+const MIN_SLOW_RESPONSE = 1000; // ms
+
+/**
+ * Find the candidate pair the connection is using
+ * @param {RTCStatsReport} report
+ * @returns {Object|null} candidate-pair stats
+ */
+export function findSelectedCandidatePair(report) {
+  let pair = null;
+  report.forEach(stat => {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+      pair = report.get(stat.selectedCandidatePairId) || pair;
+    }
+  });
+  if (pair) return pair;
+
+  // Firefox flags the pair itself instead of linking it from the transport
+  report.forEach(stat => {
+    if (stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded')) && !pair) {
+      pair = stat;
+    }
+  });
+  return pair;
+}
+
+/**
+ * Read the current counters from a stats report
+ * @param {RTCStatsReport} report
+ * @param {number} [timestamp=Date.now()]
+ * @returns {Object|null} Raw sample, or null before a candidate pair is selected
+ */
+export function readPeerStats(report, timestamp = Date.now()) {
+  const pair = findSelectedCandidatePair(report);
+  if (!pair) return null;
+
+  const local = report.get(pair.localCandidateId) || {};
+  const remote = report.get(pair.remoteCandidateId) || {};
+  return {
+    timestamp,
+    pairId: pair.id,
+    localCandidateType: local.candidateType || null,
+    remoteCandidateType: remote.candidateType || null,
+    protocol: local.protocol || null,
+    relayProtocol: local.relayProtocol || null,
+    rtt: Number.isFinite(pair.currentRoundTripTime) ? Math.round(pair.currentRoundTripTime * 1000) : null,
+    availableOutgoingBitrate: pair.availableOutgoingBitrate ?? null,
+    bytesSent: pair.bytesSent || 0,
+    bytesReceived: pair.bytesReceived || 0,
+    requestsSent: pair.requestsSent || 0,
+    responsesReceived: pair.responsesReceived || 0
+  };
+}
+
+/**
+ * Add rates and loss to a raw sample
+ * @param {Object} current - From readPeerStats
+ * @param {Object} [previous] - The sample before it, for byte rates
+ * @param {Object} [baseline] - Oldest sample in the history window, for loss
+ * @returns {Object} Sample with sendRate/receiveRate (bytes/s) and packetLoss (0-1), null when unknown
+ */
+export function deriveStatsSample(current, previous, baseline) {
+  const samePair = (other) => other && other.pairId === current.pairId && other.timestamp < current.timestamp;
+
+  let sendRate = null;
+  let receiveRate = null;
+  if (samePair(previous)) {
+    const elapsed = (current.timestamp - previous.timestamp) / 1000;
+    sendRate = Math.max(0, (current.bytesSent - previous.bytesSent) / elapsed);
+    receiveRate = Math.max(0, (current.bytesReceived - previous.bytesReceived) / elapsed);
+  }
+
+  let packetLoss = null;
+  if (samePair(baseline)) {
+    const requests = current.requestsSent - baseline.requestsSent;
+    const responses = current.responsesReceived - baseline.responsesReceived;
+    if (requests > 0) {
+      packetLoss = Math.min(1, Math.max(0, (requests - responses) / requests));
+    }
+  }
+
+  return { ...current, sendRate, receiveRate, packetLoss };
+}
+
+/**
+ * @param {Array} history
+ * @param {Object} sample
+ * @param {number} [limit=STATS_HISTORY_LENGTH]
+ * @returns {Array} New history ending with sample
+ */
+export function appendStatsSample(history, sample, limit = STATS_HISTORY_LENGTH) {
+  const next = [...history, sample];
+  return next.length > limit ? next.slice(next.length - limit) : next;
+}
+
+/**
+ * Guess whether slow photos are the network's or the desktop's fault
+ * @param {Object} sample - From deriveStatsSample
+ * @param {number|null} desktopResponseTime - ms from photo request to photo-start
+ * @returns {'network'|'desktop'|null}
+ */
+export function diagnoseSlowness(sample, desktopResponseTime) {
+  if (!sample) return null;
+  if ((sample.rtt ?? 0) > HIGH_RTT || (sample.packetLoss ?? 0) > HIGH_LOSS) {
+    return 'network';
+  }
+  if (desktopResponseTime !== null &&
+    desktopResponseTime > Math.max(MIN_SLOW_RESPONSE, SLOW_RESPONSE_FACTOR * (sample.rtt ?? 0))) {
+    return 'desktop';
+  }
+  return null;
+}
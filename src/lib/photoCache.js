@@ -0,0 +1,335 @@
+/**
+ * Persistent Photo Cache
+ * IndexedDB store for received photos and the folder listings they belong to
+ *
+ * Photos are keyed by photo ID + `modified` timestamp + quality tier, so an
+ * edited photo on the desktop never serves a stale copy. The cache has a
+ * byte budget; when a write pushes it over, the least recently used photos
+ * are evicted. Folder listings are stored next to the photos so the gallery
+ * can be rebuilt on app launch and while the desktop is offline.
+ *
+ * Photos of folders pinned for offline viewing carry a `pinnedBy` folder ID.
+ * Pinned photos are never evicted and don't count against the budget; they
+ * fall back to normal LRU entries when their folder is unpinned.
+ *
+ * Every method resolves (with null/false on failure) instead of rejecting:
+ * a broken or unavailable cache (private browsing, quota errors) must never
+ * stop photos from loading over the wire.
+ */
+
+const DB_NAME = 'photosync-cache';
+const DB_VERSION = 2;
+const PHOTO_STORE = 'photos';
+const LISTING_STORE = 'listings';
+
+export const DEFAULT_CACHE_BUDGET = 200 * 1024 * 1024; // 200 MB
+
+// Full-size tiers (see lib/photoTiers) a folder can be pinned with; thumbnails are always stored
+export const PIN_TIERS = {
+  standard: { label: 'STANDARD (1920PX)', tier: 'medium' },
+  full: { label: 'FULL SIZE (4096PX)', tier: 'full' }
+};
+
+const photoKey = (photoId, modified, tier) => `${photoId}:${modified ?? 0}:${tier}`;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction commits
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB not available'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    let photos;
+    if (!db.objectStoreNames.contains(PHOTO_STORE)) {
+      photos = db.createObjectStore(PHOTO_STORE, { keyPath: 'key' });
+      photos.createIndex('lastAccess', 'lastAccess');
+      photos.createIndex('photoId', 'photoId');
+    } else {
+      photos = request.transaction.objectStore(PHOTO_STORE);
+    }
+    // Unpinned records have no pinnedBy and stay out of this index
+    if (!photos.indexNames.contains('pinnedBy')) {
+      photos.createIndex('pinnedBy', 'pinnedBy');
+    }
+    if (!db.objectStoreNames.contains(LISTING_STORE)) {
+      db.createObjectStore(LISTING_STORE, { keyPath: 'key' });
+    }
+  };
+  return promisify(request);
+}
+
+/**
+ * Ask the browser not to clear our storage under pressure
+ * Needed for pinned folders - without it the whole origin can be evicted
+ * @returns {Promise<boolean>} True if storage is persistent
+ */
+export async function requestPersistentStorage() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.persist) {
+    return false;
+  }
+  try {
+    if (await navigator.storage.persisted()) {
+      return true;
+    }
+    return await navigator.storage.persist();
+  } catch (err) {
+    console.warn('[PhotoCache] Persistent storage request failed:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Create a photo cache
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes=DEFAULT_CACHE_BUDGET] - Size budget for cached photos
+ * @returns {Object} Cache API
+ */
+export function createPhotoCache({ maxBytes = DEFAULT_CACHE_BUDGET } = {}) {
+  let dbPromise = null;
+
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase().catch(err => {
+        console.warn('[PhotoCache] Cache unavailable:', err.message);
+        dbPromise = null;
+        throw err;
+      });
+    }
+    return dbPromise;
+  };
+
+  /**
+   * Delete least recently used unpinned photos until they fit the budget
+   * @param {IDBDatabase} db
+   */
+  async function evict(db) {
+    const tx = db.transaction(PHOTO_STORE, 'readwrite');
+    const index = tx.objectStore(PHOTO_STORE).index('lastAccess');
+
+    const entries = [];
+    let totalBytes = 0;
+    await new Promise((resolve, reject) => {
+      const cursorRequest = index.openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        if (!cursor.value.pinnedBy) {
+          entries.push({ key: cursor.value.key, size: cursor.value.size });
+          totalBytes += cursor.value.size;
+        }
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+
+    // Entries are in lastAccess order - the oldest go first
+    let evicted = 0;
+    for (const entry of entries) {
+      if (totalBytes <= maxBytes) break;
+      tx.objectStore(PHOTO_STORE).delete(entry.key);
+      totalBytes -= entry.size;
+      evicted += 1;
+    }
+
+    await transactionDone(tx);
+    if (evicted > 0) {
+      console.log(`[PhotoCache] Evicted ${evicted} photo(s), ${totalBytes} bytes cached`);
+    }
+  }
+
+  return {
+    /**
+     * Look up a cached photo and mark it as recently used
+     * @param {string} photoId
+     * @param {number|string} modified - Photo's modified timestamp from the listing
+     * @param {string} tier - Quality tier, see lib/photoTiers
+     * @returns {Promise<Blob|null>}
+     */
+    async getPhoto(photoId, modified, tier) {
+      try {
+        const db = await getDatabase();
+        const tx = db.transaction(PHOTO_STORE, 'readwrite');
+        const store = tx.objectStore(PHOTO_STORE);
+        const record = await promisify(store.get(photoKey(photoId, modified, tier)));
+        if (!record) {
+          return null;
+        }
+        store.put({ ...record, lastAccess: Date.now() });
+        await transactionDone(tx);
+        return record.blob;
+      } catch (err) {
+        console.warn(`[PhotoCache] Lookup failed for ${photoId}:`, err.message);
+        return null;
+      }
+    },
+
+    /**
+     * Store a photo, replacing older versions of the same rendition
+     * A replaced version's pin carries over to the new one
+     * @param {string} photoId
+     * @param {number|string} modified
+     * @param {string} tier
+     * @param {Blob} blob
+     * @param {string} [pinnedBy] - Pinned folder the photo is stored for
+     * @returns {Promise<boolean>} False if the photo could not be stored
+     */
+    async putPhoto(photoId, modified, tier, blob, pinnedBy) {
+      if (!pinnedBy && blob.size > maxBytes) {
+        return false;
+      }
+      try {
+        const db = await getDatabase();
+        const tx = db.transaction(PHOTO_STORE, 'readwrite');
+        const store = tx.objectStore(PHOTO_STORE);
+
+        // A new modified timestamp supersedes every cached copy of this tier
+        const stale = (await promisify(store.index('photoId').getAll(photoId)))
+          .filter(record => record.tier === tier);
+        stale.forEach(record => store.delete(record.key));
+
+        const pin = pinnedBy || stale.find(record => record.pinnedBy)?.pinnedBy;
+        store.put({
+          key: photoKey(photoId, modified, tier),
+          photoId,
+          modified: modified ?? 0,
+          tier,
+          blob,
+          size: blob.size,
+          lastAccess: Date.now(),
+          ...(pin ? { pinnedBy: pin } : {})
+        });
+        await transactionDone(tx);
+
+        await evict(db);
+        return true;
+      } catch (err) {
+        console.warn(`[PhotoCache] Could not store ${photoId}:`, err.message);
+        return false;
+      }
+    },
+
+    /**
+     * Make a folder's pinned photos match a list of renditions
+     * Cached renditions on the list are pinned to the folder, pinned ones no
+     * longer on it are released to LRU eviction
+     * @param {string} folderId
+     * @param {Array<{photoId: string, modified: *, tier: string}>} entries - Renditions to keep
+     * @returns {Promise<Array>} Entries that are not cached yet and must be downloaded
+     */
+    async syncPins(folderId, entries) {
+      try {
+        const db = await getDatabase();
+        const tx = db.transaction(PHOTO_STORE, 'readwrite');
+        const store = tx.objectStore(PHOTO_STORE);
+        const wanted = new Map(entries.map(entry => [photoKey(entry.photoId, entry.modified, entry.tier), entry]));
+
+        const pinned = await promisify(store.index('pinnedBy').getAll(folderId));
+        pinned
+          .filter(record => !wanted.has(record.key))
+          .forEach(({ pinnedBy: _released, ...record }) => store.put(record));
+
+        const keys = Array.from(wanted.keys());
+        const records = await Promise.all(keys.map(key => promisify(store.get(key))));
+        const missing = [];
+        records.forEach((record, i) => {
+          if (!record) {
+            missing.push(wanted.get(keys[i]));
+          } else if (record.pinnedBy !== folderId) {
+            store.put({ ...record, pinnedBy: folderId });
+          }
+        });
+
+        await transactionDone(tx);
+        if (entries.length === 0) {
+          // Released photos may push the unpinned cache over its budget
+          await evict(db);
+        }
+        return missing;
+      } catch (err) {
+        console.warn(`[PhotoCache] Could not update pins for folder ${folderId}:`, err.message);
+        return entries;
+      }
+    },
+
+    /**
+     * Read a cached folder listing
+     * @param {string} key - Listing key, e.g. "folders" or "folder-photos:<id>"
+     * @returns {Promise<*|null>} Stored data
+     */
+    async getListing(key) {
+      try {
+        const db = await getDatabase();
+        const tx = db.transaction(LISTING_STORE, 'readonly');
+        const record = await promisify(tx.objectStore(LISTING_STORE).get(key));
+        return record ? record.data : null;
+      } catch (err) {
+        console.warn(`[PhotoCache] Could not read listing ${key}:`, err.message);
+        return null;
+      }
+    },
+
+    /**
+     * Store a folder listing
+     * @param {string} key
+     * @param {*} data - Structured-cloneable listing data
+     * @returns {Promise<boolean>}
+     */
+    async putListing(key, data) {
+      try {
+        const db = await getDatabase();
+        const tx = db.transaction(LISTING_STORE, 'readwrite');
+        tx.objectStore(LISTING_STORE).put({ key, data, savedAt: Date.now() });
+        await transactionDone(tx);
+        return true;
+      } catch (err) {
+        console.warn(`[PhotoCache] Could not store listing ${key}:`, err.message);
+        return false;
+      }
+    },
+
+    /**
+     * Drop every cached photo and listing
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      try {
+        const db = await getDatabase();
+        const tx = db.transaction([PHOTO_STORE, LISTING_STORE], 'readwrite');
+        tx.objectStore(PHOTO_STORE).clear();
+        tx.objectStore(LISTING_STORE).clear();
+        await transactionDone(tx);
+      } catch (err) {
+        console.warn('[PhotoCache] Could not clear cache:', err.message);
+      }
+    }
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Photo Metadata Formatting
+ * Turns a listed photo plus the EXIF tags from `request-metadata` into the
+ * rows of the viewer's info drawer
+ *
+ * The desktop answers `request-metadata` with a `metadata` message whose
+ * `metadata` object uses standard EXIF tag names (Make, Model, LensModel,
+ * ExposureTime, FNumber, ISO, FocalLength, DateTimeOriginal, GPSLatitude,
+ * GPSLongitude, GPSAltitude) with GPS already in signed decimal degrees,
+ * plus the photo's absolute `path`. Listing fields (size, dimensions,
+ * dates, folder) fill in whatever EXIF lacks, so the drawer still has
+ * something to show offline or for files without EXIF.
+ */
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. "4.2 MB (4,404,019 BYTES)"
+ */
+function formatFileSize(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  const rounded = unit === 0 ? value : value.toFixed(1);
+  return `${rounded} ${BYTE_UNITS[unit]} (${bytes.toLocaleString()} BYTES)`;
+}
+
+/**
+ * Parse listing timestamps and EXIF dates ("2024:05:01 12:30:00")
+ * @param {number|string} value
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const normalized = typeof value === 'string'
+    ? value.replace(/^(\d{4}):(\d{2}):(\d{2}) /, '$1-$2-$3T')
+    : value;
+  const date = new Date(normalized);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatCamera({ Make: make, Model: model }) {
+  if (!model) return make || null;
+  // Many cameras repeat the make in the model ("Canon" / "Canon EOS R5")
+  return make && !model.toLowerCase().startsWith(make.toLowerCase()) ? `${make} ${model}` : model;
+}
+
+function formatExposure(exif) {
+  const parts = [];
+  if (exif.ExposureTime) {
+    parts.push(exif.ExposureTime >= 1 ? `${exif.ExposureTime}s` : `1/${Math.round(1 / exif.ExposureTime)}s`);
+  }
+  if (exif.FNumber) parts.push(`f/${exif.FNumber}`);
+  const iso = exif.ISO || exif.ISOSpeedRatings;
+  if (iso) parts.push(`ISO ${iso}`);
+  if (exif.FocalLength) parts.push(`${exif.FocalLength}mm`);
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+function formatCoordinate(value, positive, negative) {
+  return `${Math.abs(value).toFixed(5)}° ${value >= 0 ? positive : negative}`;
+}
+
+function formatGps({ GPSLatitude: latitude, GPSLongitude: longitude, GPSAltitude: altitude }) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  const position = `${formatCoordinate(latitude, 'N', 'S')}, ${formatCoordinate(longitude, 'E', 'W')}`;
+  return Number.isFinite(altitude) ? `${position} · ${Math.round(altitude)} M` : position;
+}
+
+function formatDimensions(width, height) {
+  if (!width || !height) return null;
+  const megapixels = (width * height) / 1000000;
+  return `${width} × ${height} (${megapixels.toFixed(1)} MP)`;
+}
+
+/**
+ * Absolute path of a photo, from EXIF metadata or the listing's folder
+ * @param {Object} photo
+ * @param {Object} exif
+ * @returns {string|null}
+ */
+function formatPath(photo, exif) {
+  if (exif.path) return exif.path;
+  const folder = photo.folderPath || photo.rootPath;
+  if (!folder) return null;
+  const separator = folder.includes('\\') ? '\\' : '/';
+  return folder.endsWith(separator) ? `${folder}${photo.filename}` : `${folder}${separator}${photo.filename}`;
+}
+
+/**
+ * Build the info drawer rows for a photo
+ * @param {Object} photo - Listed photo
+ * @param {Object} [metadata] - EXIF tags from the desktop, when loaded
+ * @returns {Array<{label: string, value: string}>} Rows with a value, in display order
+ */
+export function buildPhotoInfo(photo, metadata) {
+  const exif = metadata || {};
+  const taken = parseDate(exif.DateTimeOriginal) || parseDate(photo.created);
+  const modified = parseDate(photo.modified);
+
+  const rows = [
+    ['CAMERA', formatCamera(exif)],
+    ['LENS', exif.LensModel || null],
+    ['EXPOSURE', formatExposure(exif)],
+    ['TAKEN', taken ? taken.toLocaleString() : null],
+    ['GPS', formatGps(exif)],
+    ['DIMENSIONS', formatDimensions(photo.width || exif.ExifImageWidth, photo.height || exif.ExifImageHeight)],
+    ['FILE SIZE', photo.size ? formatFileSize(photo.size) : null],
+    ['MODIFIED', modified ? modified.toLocaleString() : null],
+    ['PATH', formatPath(photo, exif)]
+  ];
+
+  return rows
+    .filter(([, value]) => value)
+    .map(([label, value]) => ({ label, value: String(value) }));
+}
+
+/**
+ * Plain-text version of the info rows for the clipboard
+ * @param {Object} photo
+ * @param {Array<{label: string, value: string}>} rows
+ * @returns {string}
+ */
+export function formatPhotoInfoText(photo, rows) {
+  return [photo.filename, ...rows.map(({ label, value }) => `${label}: ${value}`)].join('\n');
+}
@@ -0,0 +1,164 @@
+/**
+ * PhotoSync Data Channel Protocol
+ *
+ * Binary framing for everything sent over the WebRTC data channel. Each
+ * message is a fixed-size header followed by its payload:
+ *
+ *   offset  size  field
+ *   0       1     frame format version (FRAME_VERSION)
+ *   1       1     frame type (FRAME_TYPES)
+ *   2       2     reserved, must be 0
+ *   4       4     request ID (uint32, big-endian, 0 when not request-scoped)
+ *   8       4     sequence number (uint32, big-endian)
+ *   12      4     payload length in bytes (uint32, big-endian)
+ *   16      n     payload
+ *
+ * CONTROL frames carry a UTF-8 encoded JSON message, CHUNK frames carry raw
+ * photo bytes. This module has no browser or React dependencies so the
+ * desktop peer can use the same encoder/decoder.
+ */
+
+export const FRAME_VERSION = 1;
+
+// Application protocol version exchanged in the `hello` handshake
+export const PROTOCOL_VERSION = 1;
+
+// Oldest peer protocol version this build can talk to
+export const MIN_PEER_PROTOCOL_VERSION = 1;
+
+export const FRAME_HEADER_SIZE = 16;
+
+export const FRAME_TYPES = {
+  CONTROL: 1,
+  CHUNK: 2
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Normalize ArrayBuffer / typed array / Node Buffer input to a Uint8Array view
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Uint8Array}
+ */
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  throw new TypeError('Frame data must be an ArrayBuffer or typed array');
+}
+
+/**
+ * Encode a frame
+ * @param {Object} frame
+ * @param {number} frame.type - One of FRAME_TYPES
+ * @param {number} [frame.requestId=0] - Request this frame belongs to
+ * @param {number} [frame.sequence=0] - Sequence number within the request
+ * @param {ArrayBuffer|ArrayBufferView} [frame.payload] - Frame payload
+ * @returns {Uint8Array} Encoded frame
+ */
+export function encodeFrame({ type, requestId = 0, sequence = 0, payload }) {
+  const body = payload ? toUint8Array(payload) : new Uint8Array(0);
+  const frame = new Uint8Array(FRAME_HEADER_SIZE + body.byteLength);
+  const view = new DataView(frame.buffer);
+
+  view.setUint8(0, FRAME_VERSION);
+  view.setUint8(1, type);
+  view.setUint16(2, 0);
+  view.setUint32(4, requestId);
+  view.setUint32(8, sequence);
+  view.setUint32(12, body.byteLength);
+  frame.set(body, FRAME_HEADER_SIZE);
+
+  return frame;
+}
+
+/**
+ * Decode a frame
+ * @param {ArrayBuffer|ArrayBufferView} data - Raw data channel message
+ * @returns {{type: number, requestId: number, sequence: number, payload: Uint8Array}}
+ * @throws {Error} If the frame is truncated or uses an unknown version
+ */
+export function decodeFrame(data) {
+  const bytes = toUint8Array(data);
+  if (bytes.byteLength < FRAME_HEADER_SIZE) {
+    throw new Error(`Frame too short: ${bytes.byteLength} bytes`);
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint8(0);
+  if (version !== FRAME_VERSION) {
+    throw new Error(`Unsupported frame version: ${version}`);
+  }
+
+  const payloadLength = view.getUint32(12);
+  if (bytes.byteLength < FRAME_HEADER_SIZE + payloadLength) {
+    throw new Error(`Truncated frame: expected ${payloadLength} payload bytes, got ${bytes.byteLength - FRAME_HEADER_SIZE}`);
+  }
+
+  return {
+    type: view.getUint8(1),
+    requestId: view.getUint32(4),
+    sequence: view.getUint32(8),
+    payload: bytes.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + payloadLength)
+  };
+}
+
+/**
+ * Encode a JSON control message as a CONTROL frame
+ * @param {Object} message - Message with a `type` field
+ * @returns {Uint8Array} Encoded frame
+ */
+export function encodeControlMessage(message) {
+  return encodeFrame({
+    type: FRAME_TYPES.CONTROL,
+    requestId: message.requestId || 0,
+    payload: textEncoder.encode(JSON.stringify(message))
+  });
+}
+
+/**
+ * Decode the JSON message carried by a CONTROL frame
+ * @param {Uint8Array} payload - Frame payload
+ * @returns {Object} Parsed message
+ */
+export function decodeControlPayload(payload) {
+  return JSON.parse(textDecoder.decode(payload));
+}
+
+/**
+ * Encode a photo data chunk as a CHUNK frame
+ * @param {number} requestId - Request the chunk belongs to
+ * @param {number} sequence - Zero-based chunk index within the transfer
+ * @param {ArrayBuffer|ArrayBufferView} bytes - Chunk bytes
+ * @returns {Uint8Array} Encoded frame
+ */
+export function encodeChunk(requestId, sequence, bytes) {
+  return encodeFrame({
+    type: FRAME_TYPES.CHUNK,
+    requestId,
+    sequence,
+    payload: bytes
+  });
+}
+
+/**
+ * Check whether a peer advertised a feature in its `hello` message
+ * Boolean features must be true; list features (e.g. formats) must be non-empty
+ * @param {Object|null} capabilities - Peer capabilities from the handshake
+ * @param {string} feature - Feature name
+ * @returns {boolean}
+ */
+export function supportsFeature(capabilities, feature) {
+  const value = capabilities?.features?.[feature];
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return value === true;
+}
@@ -0,0 +1,64 @@
+/**
+ * Photo Quality Tiers
+ * Named renditions a photo can be requested, cached and displayed at
+ *
+ * Each tier maps to the quality/maxDimension the desktop renders it with.
+ * `photoData` holds one blob URL per tier, so a grid thumbnail and the
+ * viewer's full-size image never overwrite each other. Components ask for
+ * a preferred tier and show the best one already loaded while better tiers
+ * are on their way.
+ */
+
+export const PHOTO_TIERS = {
+  THUMB: 'thumb',       // Grid tiles
+  MEDIUM: 'medium',     // Quick viewer preview, standard offline copy
+  FULL: 'full',         // Viewer at full screen resolution
+  ORIGINAL: 'original'  // Unmodified file from the desktop
+};
+
+// Smallest to largest
+export const TIER_ORDER = [
+  PHOTO_TIERS.THUMB,
+  PHOTO_TIERS.MEDIUM,
+  PHOTO_TIERS.FULL,
+  PHOTO_TIERS.ORIGINAL
+];
+
+// maxDimension 0 asks the desktop not to resize or re-encode
+export const TIER_RENDITIONS = {
+  [PHOTO_TIERS.THUMB]: { quality: 40, maxDimension: 300 },
+  [PHOTO_TIERS.MEDIUM]: { quality: 60, maxDimension: 1920 },
+  [PHOTO_TIERS.FULL]: { quality: 90, maxDimension: 4096 },
+  [PHOTO_TIERS.ORIGINAL]: { quality: 100, maxDimension: 0 }
+};
+
+/**
+ * Position of a tier in TIER_ORDER (-1 for unknown tiers)
+ * @param {string} tier
+ * @returns {number}
+ */
+export const tierRank = (tier) => TIER_ORDER.indexOf(tier);
+
+/**
+ * Pick the tier to display from the tiers loaded for a photo
+ * Prefers the requested tier, then the largest one below it, then the
+ * smallest one above it
+ * @param {Object|string|undefined} tiers - photoData entry (tier -> URL); a plain URL is returned as-is
+ * @param {string} preferred - Tier the component would ideally show
+ * @returns {{tier: string|null, url: string}|null}
+ */
+export function pickPhotoTier(tiers, preferred) {
+  if (!tiers) {
+    return null;
+  }
+  if (typeof tiers === 'string') {
+    // Legacy single-URL photoData
+    return { tier: null, url: tiers };
+  }
+
+  const preferredRank = tierRank(preferred);
+  const below = TIER_ORDER.slice(0, preferredRank + 1).reverse();
+  const above = TIER_ORDER.slice(preferredRank + 1);
+  const tier = [...below, ...above].find(candidate => tiers[candidate]);
+  return tier ? { tier, url: tiers[tier] } : null;
+}
@@ -0,0 +1,165 @@
+/**
+ * P2P Reconnection Controller
+ * Schedules recovery attempts after the data channel to the desktop drops
+ *
+ * The first attempts restart ICE on the existing RTCPeerConnection, which
+ * keeps the data channels (and every transfer on them) alive across a
+ * network switch. Once the connection can't be restarted - SimplePeer
+ * destroys it as soon as ICE fails - attempts start over with a fresh
+ * offer through the signaling room. Attempts are spaced with exponential
+ * backoff; the controller only decides when and how to try, the caller
+ * performs the attempt and reports how it went.
+ */
+
+export const RECOVERY_METHODS = {
+  ICE_RESTART: 'ice-restart',
+  FRESH_OFFER: 'fresh-offer'
+};
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 8,
+  iceRestartAttempts: 2, // Leading attempts that may restart ICE
+  attemptTimeout: 15000, // ms an attempt gets before the next one is scheduled
+  baseDelay: 1000, // ms before the second attempt, doubled after every attempt
+  maxDelay: 30000 // ms
+};
+
+// Random extra delay, as a fraction of the backoff, so clients don't retry in lockstep
+const JITTER = 0.2;
+
+/**
+ * Delay before an attempt
+ * @param {number} attempt - 1-based; the first attempt runs immediately
+ * @param {number} baseDelay - ms
+ * @param {number} maxDelay - ms
+ * @returns {number} ms
+ */
+export function getReconnectDelay(attempt, baseDelay, maxDelay) {
+  if (attempt <= 1) return 0;
+  const backoff = baseDelay * 2 ** (attempt - 2);
+  return Math.round(Math.min(backoff * (1 + Math.random() * JITTER), maxDelay));
+}
+
+/**
+ * Create a reconnection controller
+ * @param {Object} handlers
+ * @param {Function} handlers.canRestartIce - () => boolean, true while the old connection can still be restarted
+ * @param {Function} handlers.restartIce - () => Promise|void, starts an ICE restart
+ * @param {Function} handlers.reconnect - () => Promise|void, replaces the connection with a fresh one
+ * @param {Function} [handlers.onAttempt] - ({ attempt, maxAttempts, method }) before each attempt runs
+ * @param {Function} [handlers.onRetryScheduled] - ({ attempt, delay, reason }) when the next attempt is queued
+ * @param {Function} [handlers.onGiveUp] - Called once maxAttempts have failed
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} Controller API
+ */
+export function createReconnectionController(handlers, options = {}) {
+  const { canRestartIce, restartIce, reconnect, onAttempt, onRetryScheduled, onGiveUp } = handlers;
+  const { maxAttempts, iceRestartAttempts, attemptTimeout, baseDelay, maxDelay } = { ...DEFAULT_OPTIONS, ...options };
+
+  let active = false;
+  let attempt = 0;
+  let timer = null;
+  let waiting = false; // Backing off before the next attempt, rather than running one
+
+  const clearTimer = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  function scheduleNext(reason) {
+    clearTimer();
+    if (attempt >= maxAttempts) {
+      active = false;
+      waiting = false;
+      if (onGiveUp) onGiveUp();
+      return;
+    }
+    const delay = getReconnectDelay(attempt + 1, baseDelay, maxDelay);
+    if (onRetryScheduled) onRetryScheduled({ attempt: attempt + 1, delay, reason });
+    waiting = true;
+    timer = setTimeout(runAttempt, delay);
+  }
+
+  function runAttempt() {
+    clearTimer();
+    waiting = false;
+    attempt += 1;
+    const method = attempt <= iceRestartAttempts && canRestartIce()
+      ? RECOVERY_METHODS.ICE_RESTART
+      : RECOVERY_METHODS.FRESH_OFFER;
+    if (onAttempt) onAttempt({ attempt, maxAttempts, method });
+
+    const started = attempt;
+    timer = setTimeout(() => scheduleNext('timed out'), attemptTimeout);
+    Promise.resolve()
+      .then(() => (method === RECOVERY_METHODS.ICE_RESTART ? restartIce() : reconnect()))
+      .catch(err => {
+        if (active && attempt === started && !waiting) {
+          scheduleNext(err.message);
+        }
+      });
+  }
+
+  return {
+    /**
+     * Begin recovering a dropped connection
+     * @returns {boolean} False if recovery was already running
+     */
+    start() {
+      if (active) return false;
+      active = true;
+      attempt = 0;
+      runAttempt();
+      return true;
+    },
+
+    /**
+     * Report that the running attempt failed, so the next one needn't wait for its timeout
+     * @param {string} reason
+     */
+    attemptFailed(reason) {
+      if (active && !waiting) {
+        scheduleNext(reason);
+      }
+    },
+
+    /**
+     * Skip the backoff, e.g. when the network comes back
+     */
+    retryNow() {
+      if (active && waiting) {
+        runAttempt();
+      }
+    },
+
+    /**
+     * Report that the connection is back
+     * @returns {number} Attempts it took, or 0 if no recovery was running
+     */
+    succeeded() {
+      if (!active) return 0;
+      clearTimer();
+      active = false;
+      waiting = false;
+      return attempt;
+    },
+
+    /**
+     * Abandon recovery (user disconnect or unmount)
+     */
+    stop() {
+      clearTimer();
+      active = false;
+      waiting = false;
+    },
+
+    /**
+     * @returns {boolean} True while recovery is in progress
+     */
+    isActive() {
+      return active;
+    }
+  };
+}
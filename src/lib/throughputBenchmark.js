@@ -0,0 +1,159 @@
+/**
+ * Data Channel Throughput Benchmark
+ * Measures how fast the desktop can move bytes to this device
+ *
+ * The desktop answers a `request-benchmark` by streaming `size` bytes of
+ * synthetic data as CHUNK frames over the same path photos take (the bulk
+ * channels when negotiated). The meter timestamps every chunk as it
+ * arrives: time-to-first-byte is measured from the request, sustained
+ * throughput over the bytes after the first chunk (so request latency
+ * doesn't drag it down), and jitter is the standard deviation of the gaps
+ * between chunks. Results are kept in localStorage together with the
+ * network type reported by `navigator.connection`, so runs on Wi-Fi and
+ * cellular can be compared later.
+ */
+
+// Sizes offered in the diagnostics panel
+export const BENCHMARK_SIZES_MB = [5, 25, 100];
+
+export const DEFAULT_BENCHMARK_SIZE_MB = 25;
+
+const MB = 1024 * 1024;
+
+const STORAGE_KEY = 'photosync_benchmarks';
+
+// Results kept in storage, newest first
+const MAX_STORED_RESULTS = 20;
+
+/**
+ * @param {number} sizeMB
+ * @returns {number} Bytes
+ */
+export const benchmarkBytes = (sizeMB) => Math.round(sizeMB * MB);
+
+/**
+ * Create a meter for one benchmark run
+ * Keeps running sums only, so a 100 MB run costs no more memory than a small one
+ * @param {number} [requestedAt=Date.now()] - When the request was sent
+ * @returns {Object} Meter API
+ */
+export function createThroughputMeter(requestedAt = Date.now()) {
+  let bytes = 0;
+  let chunks = 0;
+  let firstByteAt = null;
+  let firstChunkBytes = 0;
+  let lastChunkAt = null;
+  // Welford's running mean and variance of the inter-chunk gaps
+  let gapMean = 0;
+  let gapM2 = 0;
+
+  return {
+    /**
+     * @param {number} length - Payload bytes in the chunk
+     * @param {number} [now=Date.now()]
+     */
+    record(length, now = Date.now()) {
+      if (firstByteAt === null) {
+        firstByteAt = now;
+        firstChunkBytes = length;
+      } else {
+        const gap = now - lastChunkAt;
+        const delta = gap - gapMean;
+        gapMean += delta / chunks;
+        gapM2 += delta * (gap - gapMean);
+      }
+      bytes += length;
+      chunks += 1;
+      lastChunkAt = now;
+    },
+
+    /**
+     * @returns {number} Bytes received so far
+     */
+    get bytes() {
+      return bytes;
+    },
+
+    /**
+     * @returns {Object} { bytes, chunks, ttfb, duration, throughput, jitter } -
+     *   ms for times, bytes/s for throughput, null until enough chunks arrived
+     */
+    summarize() {
+      const span = lastChunkAt !== null ? lastChunkAt - firstByteAt : 0;
+      const gaps = chunks - 1;
+      return {
+        bytes,
+        chunks,
+        ttfb: firstByteAt !== null ? firstByteAt - requestedAt : null,
+        duration: lastChunkAt !== null ? lastChunkAt - requestedAt : null,
+        throughput: span > 0 ? ((bytes - firstChunkBytes) / span) * 1000 : null,
+        jitter: gaps > 1 ? Math.sqrt(gapM2 / (gaps - 1)) : null
+      };
+    }
+  };
+}
+
+/**
+ * The network this device says it is on
+ * `navigator.connection` is only available in Chromium browsers
+ * @returns {{type: string|null, effectiveType: string|null, downlink: number|null}|null}
+ */
+export function getNetworkInfo() {
+  const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+  if (!connection) return null;
+  return {
+    type: connection.type || null,
+    effectiveType: connection.effectiveType || null,
+    downlink: Number.isFinite(connection.downlink) ? connection.downlink : null
+  };
+}
+
+/**
+ * @param {Object|null} network - From getNetworkInfo
+ * @returns {string} e.g. "wifi (4g)", or "unknown"
+ */
+export function formatNetworkType(network) {
+  if (!network || (!network.type && !network.effectiveType)) return 'unknown';
+  if (network.type && network.effectiveType) return `${network.type} (${network.effectiveType})`;
+  return network.type || network.effectiveType;
+}
+
+/**
+ * Stored benchmark results
+ * @returns {Array} Newest first
+ */
+export function loadBenchmarkResults() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    console.error('[Benchmark] Error reading results:', err);
+    return [];
+  }
+}
+
+/**
+ * Store a result, dropping the oldest beyond MAX_STORED_RESULTS
+ * @param {Object} result
+ * @returns {Array} The stored results, newest first
+ */
+export function saveBenchmarkResult(result) {
+  const results = [result, ...loadBenchmarkResults()].slice(0, MAX_STORED_RESULTS);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(results));
+  } catch (err) {
+    console.error('[Benchmark] Error saving result:', err);
+  }
+  return results;
+}
+
+/**
+ * Forget every stored result
+ */
+export function clearBenchmarkResults() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (err) {
+    console.error('[Benchmark] Error clearing results:', err);
+  }
+}
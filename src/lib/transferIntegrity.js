@@ -0,0 +1,120 @@
+import CryptoJS from 'crypto-js';
+
+/**
+ * Transfer Integrity Helpers
+ * Digest computation and verification for photos received over WebRTC
+ *
+ * Uses SubtleCrypto when available. SubtleCrypto only exists in secure
+ * contexts, so plain-HTTP LAN deployments fall back to crypto-js.
+ */
+
+export const DEFAULT_DIGEST_ALGORITHM = 'SHA-256';
+
+/**
+ * Normalize algorithm names sent by the desktop ("sha256", "SHA-256", "md5")
+ * @param {string} [algorithm]
+ * @returns {string|null} 'SHA-256' or 'MD5', null for algorithms we can't compute
+ */
+function normalizeAlgorithm(algorithm = DEFAULT_DIGEST_ALGORITHM) {
+  const name = String(algorithm).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (name === 'SHA256') return 'SHA-256';
+  if (name === 'MD5') return 'MD5';
+  return null;
+}
+
+/**
+ * @param {string} [algorithm]
+ * @returns {string} Normalized name
+ * @throws {Error} For algorithms we can't compute
+ */
+function requireAlgorithm(algorithm) {
+  const normalized = normalizeAlgorithm(algorithm);
+  if (!normalized) {
+    throw new Error(`Unsupported digest algorithm: ${algorithm}`);
+  }
+  return normalized;
+}
+
+function bufferToHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Compute the hex digest of a blob
+ * @param {Blob} blob - Data to hash
+ * @param {string} [algorithm='SHA-256'] - Digest algorithm
+ * @returns {Promise<string>} Lowercase hex digest
+ * @throws {Error} For algorithms we can't compute
+ */
+export async function computeDigest(blob, algorithm = DEFAULT_DIGEST_ALGORITHM) {
+  const normalized = requireAlgorithm(algorithm);
+  const buffer = await blob.arrayBuffer();
+
+  if (normalized === 'SHA-256' && window.crypto?.subtle) {
+    const hash = await window.crypto.subtle.digest('SHA-256', buffer);
+    return bufferToHex(hash);
+  }
+
+  const wordArray = CryptoJS.lib.WordArray.create(new Uint8Array(buffer));
+  const hash = normalized === 'SHA-256' ? CryptoJS.SHA256(wordArray) : CryptoJS.MD5(wordArray);
+  return hash.toString(CryptoJS.enc.Hex);
+}
+
+/**
+ * Create a digest that is fed chunk by chunk, for data that is never held
+ * in one piece (e.g. an original streamed to disk)
+ * SubtleCrypto has no incremental API, so this always uses crypto-js.
+ * @param {string} [algorithm='SHA-256'] - Digest algorithm
+ * @returns {Object} Digest API
+ * @throws {Error} For algorithms we can't compute
+ */
+export function createIncrementalDigest(algorithm = DEFAULT_DIGEST_ALGORITHM) {
+  const normalized = requireAlgorithm(algorithm);
+  const hasher = normalized === 'SHA-256' ? CryptoJS.algo.SHA256.create() : CryptoJS.algo.MD5.create();
+
+  return {
+    /**
+     * @param {Uint8Array} bytes - Next chunk of data
+     */
+    update(bytes) {
+      hasher.update(CryptoJS.lib.WordArray.create(bytes));
+    },
+
+    /**
+     * Finish hashing and compare with the digest reported by the desktop
+     * @param {string} expected - Expected hex digest
+     * @param {string} [expectedAlgorithm='SHA-256'] - Algorithm the desktop used
+     * @returns {{valid: boolean, actual: string}|null} Null if the desktop used another algorithm
+     */
+    verify(expected, expectedAlgorithm = DEFAULT_DIGEST_ALGORITHM) {
+      if (normalizeAlgorithm(expectedAlgorithm) !== normalized) {
+        return null;
+      }
+      const actual = hasher.finalize().toString(CryptoJS.enc.Hex);
+      return {
+        valid: actual === expected.toLowerCase(),
+        actual
+      };
+    }
+  };
+}
+
+/**
+ * Verify a blob against the digest reported by the desktop
+ * @param {Blob} blob - Received data
+ * @param {string} expected - Expected hex digest
+ * @param {string} [algorithm='SHA-256'] - Digest algorithm
+ * @returns {Promise<{valid: boolean, actual: string}|null>} Null if we can't compute the algorithm
+ */
+export async function verifyDigest(blob, expected, algorithm = DEFAULT_DIGEST_ALGORITHM) {
+  if (!normalizeAlgorithm(algorithm)) {
+    return null;
+  }
+  const actual = await computeDigest(blob, algorithm);
+  return {
+    valid: actual === expected.toLowerCase(),
+    actual
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Photo Transfer Scheduler
+ * Priority queue that decides which photo requests go over the data channel next
+ *
+ * Jobs are keyed (e.g. photoId + quality + size) so repeated requests for the
+ * same image collapse into one. Within a priority level jobs run in FIFO
+ * order, and at most `maxInFlight` jobs are dispatched at once. VIEWER jobs
+ * bypass the cap so a tapped photo starts loading immediately.
+ */
+
+export const TRANSFER_PRIORITY = {
+  VIEWER: 0,   // Full-size image open in the viewer
+  VISIBLE: 1,  // Thumbnail currently on screen
+  PREFETCH: 2  // Everything else
+};
+
+const PRIORITY_LEVELS = Object.values(TRANSFER_PRIORITY).sort((a, b) => a - b);
+
+/**
+ * Create a transfer scheduler
+ * @param {Object} [options]
+ * @param {number} [options.maxInFlight=6] - Maximum concurrently dispatched jobs
+ * @returns {Object} Scheduler API
+ */
+export function createTransferScheduler({ maxInFlight = 6 } = {}) {
+  // priority -> Map(key -> job), Maps preserve insertion (FIFO) order
+  const queues = new Map(PRIORITY_LEVELS.map(level => [level, new Map()]));
+  const queuedPriority = new Map(); // key -> priority of queued job
+  const inFlight = new Set(); // keys of dispatched jobs
+
+  /**
+   * Queue a job, or raise the priority of an identical queued job
+   * @param {string} key - Deduplication key
+   * @param {Object} job - Payload handed back by takeNext()
+   * @param {number} [priority=TRANSFER_PRIORITY.PREFETCH]
+   * @returns {boolean} False if the job is already in flight
+   */
+  function enqueue(key, job, priority = TRANSFER_PRIORITY.PREFETCH) {
+    if (inFlight.has(key)) {
+      return false;
+    }
+
+    const current = queuedPriority.get(key);
+    if (current !== undefined) {
+      if (priority < current) {
+        setPriority(key, priority);
+      }
+      return true;
+    }
+
+    queues.get(priority).set(key, job);
+    queuedPriority.set(key, priority);
+    return true;
+  }
+
+  /**
+   * Move a queued job to another priority level (no-op if not queued)
+   * @param {string} key
+   * @param {number} priority
+   */
+  function setPriority(key, priority) {
+    const current = queuedPriority.get(key);
+    if (current === undefined || current === priority) {
+      return;
+    }
+
+    const job = queues.get(current).get(key);
+    queues.get(current).delete(key);
+    queues.get(priority).set(key, job);
+    queuedPriority.set(key, priority);
+  }
+
+  /**
+   * Take the next job that may be dispatched now
+   * @returns {{key: string, job: Object, priority: number}|null}
+   */
+  function takeNext() {
+    for (const level of PRIORITY_LEVELS) {
+      const queue = queues.get(level);
+      if (queue.size === 0) {
+        continue;
+      }
+      if (level !== TRANSFER_PRIORITY.VIEWER && inFlight.size >= maxInFlight) {
+        return null;
+      }
+
+      const [key, job] = queue.entries().next().value;
+      queue.delete(key);
+      queuedPriority.delete(key);
+      inFlight.add(key);
+      return { key, job, priority: level };
+    }
+    return null;
+  }
+
+  /**
+   * Release the slot held by a dispatched job
+   * @param {string} key
+   */
+  function markDone(key) {
+    inFlight.delete(key);
+  }
+
+  /**
+   * Remove a job from the queue without dispatching it
+   * @param {string} key
+   * @returns {boolean} True if a queued job was removed
+   */
+  function remove(key) {
+    const current = queuedPriority.get(key);
+    if (current === undefined) {
+      return false;
+    }
+    queues.get(current).delete(key);
+    queuedPriority.delete(key);
+    return true;
+  }
+
+  /**
+   * Keys of all queued jobs
+   * @returns {string[]}
+   */
+  function queuedKeys() {
+    return Array.from(queuedPriority.keys());
+  }
+
+  /**
+   * Drop every queued and in-flight job
+   */
+  function clear() {
+    queues.forEach(queue => queue.clear());
+    queuedPriority.clear();
+    inFlight.clear();
+  }
+
+  return {
+    enqueue,
+    setPriority,
+    takeNext,
+    markDone,
+    remove,
+    queuedKeys,
+    clear,
+    get queuedCount() {
+      return queuedPriority.size;
+    },
+    get inFlightCount() {
+      return inFlight.size;
+    }
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Video Streaming
+ * Plays a desktop video from byte ranges fetched over the data channel
+ *
+ * The desktop serves every video as fragmented MP4 and describes it in a
+ * `video-info` message: the MIME type with codecs, the duration, an init
+ * segment and a time-indexed list of media segments, all as byte ranges of
+ * that streamable rendition. The player feeds a MediaSource from the list,
+ * keeping BUFFER_AHEAD seconds ahead of the playhead. Seeking to a position
+ * that isn't buffered jumps straight to the segment containing it, so
+ * playback never waits for the whole file. Data more than BUFFER_BEHIND
+ * seconds behind the playhead is dropped to stay within browser quotas.
+ *
+ * Poster frames are ordinary photo tiers: requesting a video's thumb or
+ * medium tier returns a still rendered by the desktop.
+ */
+
+export const MEDIA_TYPES = {
+  IMAGE: 'image',
+  VIDEO: 'video'
+};
+
+// Seconds of video kept buffered ahead of and behind the playhead
+export const BUFFER_AHEAD = 30;
+export const BUFFER_BEHIND = 30;
+
+// A segment that fails to arrive is requested again this many times in total
+const MAX_SEGMENT_ATTEMPTS = 3;
+
+// Positions this close to a buffered range count as buffered
+const BUFFERED_TOLERANCE = 0.1; // seconds
+
+/**
+ * @param {Object} [photo] - Listed photo or video
+ * @returns {boolean} True for video entries
+ */
+export const isVideo = (photo) => photo?.mediaType === MEDIA_TYPES.VIDEO;
+
+/**
+ * Format a duration as m:ss (or h:mm:ss)
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) return '--:--';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+// iOS Safari only has ManagedMediaSource
+const getMediaSourceClass = () => (typeof window === 'undefined'
+  ? null
+  : window.ManagedMediaSource || window.MediaSource || null);
+
+/**
+ * @param {string} mimeType - MIME type with codecs from video-info
+ * @returns {boolean} True if this browser can play the stream
+ */
+export function canStreamVideo(mimeType) {
+  const MediaSourceClass = getMediaSourceClass();
+  return Boolean(MediaSourceClass && mimeType && MediaSourceClass.isTypeSupported(mimeType));
+}
+
+/**
+ * Index of the segment containing a playback position
+ * @param {Array<{time: number}>} segments - Segments sorted by start time
+ * @param {number} time - Seconds
+ * @returns {number}
+ */
+export function findSegmentIndex(segments, time) {
+  let low = 0;
+  let high = segments.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (segments[middle].time <= time) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Attach a MediaSource-backed stream to a video element
+ * @param {HTMLVideoElement} video
+ * @param {Object} info - video-info: { mimeType, duration, init: {offset, length}, segments: [{time, offset, length}] }
+ * @param {Object} handlers
+ * @param {Function} handlers.fetchRange - (offset, length) => Promise<Uint8Array>
+ * @param {Function} [handlers.onError] - Called with the error when playback cannot continue
+ * @returns {Object} Stream API
+ */
+export function createVideoStream(video, info, { fetchRange, onError }) {
+  const MediaSourceClass = getMediaSourceClass();
+  const mediaSource = new MediaSourceClass();
+  const url = URL.createObjectURL(mediaSource);
+  const segments = info.segments;
+
+  let sourceBuffer = null;
+  let nextSegment = 0;
+  let generation = 0; // Bumped by seeks so segments fetched for the old position aren't appended
+  let loading = false;
+  let destroyed = false;
+
+  const fail = (err) => {
+    if (!destroyed && onError) onError(err);
+  };
+
+  const waitForUpdate = () => new Promise(resolve => {
+    sourceBuffer.addEventListener('updateend', resolve, { once: true });
+  });
+
+  const isBuffered = (time) => {
+    const { buffered } = video;
+    for (let i = 0; i < buffered.length; i++) {
+      if (buffered.start(i) - BUFFERED_TOLERANCE <= time && time < buffered.end(i)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  async function remove(start, end) {
+    if (end - start <= BUFFERED_TOLERANCE) return;
+    sourceBuffer.remove(start, end);
+    await waitForUpdate();
+  }
+
+  async function trimBehind() {
+    const { buffered } = video;
+    const end = video.currentTime - BUFFER_BEHIND;
+    if (buffered.length > 0 && buffered.start(0) < end) {
+      await remove(buffered.start(0), end);
+    }
+  }
+
+  async function append(data) {
+    try {
+      sourceBuffer.appendBuffer(data);
+    } catch (err) {
+      if (err.name !== 'QuotaExceededError') throw err;
+      // Make room by dropping everything away from the playhead, then try once more
+      const { currentTime } = video;
+      await remove(0, Math.max(0, currentTime - 1));
+      await remove(currentTime + BUFFER_AHEAD, mediaSource.duration);
+      sourceBuffer.appendBuffer(data);
+    }
+    await waitForUpdate();
+  }
+
+  async function fetchSegment(range) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_SEGMENT_ATTEMPTS && !destroyed; attempt++) {
+      try {
+        return await fetchRange(range.offset, range.length);
+      } catch (err) {
+        lastError = err;
+        console.warn(`[VideoStream] Range ${range.offset}+${range.length} failed (attempt ${attempt}/${MAX_SEGMENT_ATTEMPTS}):`, err.message);
+      }
+    }
+    throw lastError || new Error('Video stream closed');
+  }
+
+  // Append segments until BUFFER_AHEAD seconds past the playhead are covered
+  async function fill() {
+    if (loading || destroyed || !sourceBuffer) return;
+    loading = true;
+    try {
+      while (!destroyed && nextSegment < segments.length &&
+        segments[nextSegment].time < video.currentTime + BUFFER_AHEAD) {
+        const fetchedFor = generation;
+        const index = nextSegment;
+        const data = await fetchSegment(segments[index]);
+        if (destroyed) return;
+        if (fetchedFor !== generation) {
+          // Seeked elsewhere while this segment was in flight
+          continue;
+        }
+        await trimBehind();
+        await append(data);
+        if (fetchedFor === generation) {
+          nextSegment = index + 1;
+        }
+      }
+
+      if (!destroyed && nextSegment >= segments.length && mediaSource.readyState === 'open') {
+        mediaSource.endOfStream();
+      }
+    } catch (err) {
+      fail(err);
+    } finally {
+      loading = false;
+    }
+  }
+
+  function handleSeeking() {
+    if (!isBuffered(video.currentTime)) {
+      generation += 1;
+      nextSegment = findSegmentIndex(segments, video.currentTime);
+    }
+    fill();
+  }
+
+  async function handleSourceOpen() {
+    try {
+      if (info.duration) {
+        mediaSource.duration = info.duration;
+      }
+      sourceBuffer = mediaSource.addSourceBuffer(info.mimeType);
+      await append(await fetchSegment(info.init));
+      fill();
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  if (MediaSourceClass !== window.MediaSource) {
+    // ManagedMediaSource only plays with AirPlay disabled (or an AirPlay alternative source)
+    video.disableRemotePlayback = true;
+  }
+  mediaSource.addEventListener('sourceopen', handleSourceOpen, { once: true });
+  video.addEventListener('seeking', handleSeeking);
+  video.addEventListener('timeupdate', fill);
+  video.src = url;
+
+  return {
+    /**
+     * Stop streaming and release the MediaSource
+     */
+    destroy() {
+      destroyed = true;
+      mediaSource.removeEventListener('sourceopen', handleSourceOpen);
+      video.removeEventListener('seeking', handleSeeking);
+      video.removeEventListener('timeupdate', fill);
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+    }
+  };
+}